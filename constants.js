@@ -7,14 +7,68 @@ const DataStatus = {
   PENDING_PUT: Symbol('PENDING_PUT'),
   PENDING_POST: Symbol('PENDING_POST'),
   PENDING_DELETE: Symbol('PENDING_DELETE'),
+  PENDING_PATCH: Symbol('PENDING_PATCH'),
+  // HEAD and custom methods
+  PENDING_REQUEST: Symbol('PENDING_REQUEST'),
   ERROR: Symbol('ERROR')
 };
 
+// What `Resource.get` did with a GET: answered from a fresh entry, a stale one (refetching it in
+// the background) or a cached failure, joined a request already in flight, or missed the cache.
+const CacheDecision = {
+  HIT_FRESH: 'hitFresh',
+  HIT_STALE: 'hitStale',
+  HIT_ERROR: 'hitError',
+  DEDUPED: 'deduped',
+  MISS: 'miss'
+};
+
 const DEFAULT_CACHE_TTL = 60 * 1000;
 const DEFAULT_REQUEST_TIMEOUT = 30000;
+const MAX_MIDDLEWARE_RETRIES = 3;
+
+// Delays are in ms; the nth retry waits `delay * factor^(n - 1)`, capped at `maxDelay` and reduced
+// by up to `jitter` (a fraction) at random.
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  delay: 500,
+  factor: 2,
+  maxDelay: 30 * 1000,
+  jitter: 0.5,
+  retryOn: [408, 429, 500, 502, 503, 504]
+};
+
+// `getItems` picks the list out of a page's body; `getNextPage` returns the page (or cursor) to
+// request next, or null once there is nothing left.
+const DEFAULT_PAGINATION = {
+  pageParam: 'page',
+  initialPage: 1,
+  getItems: (body) => body,
+  getNextPage: ({items, page}) => items.size ? page + 1 : null
+};
+
+// `window` is how long (in ms) GETs are collected before their batch is sent; 0 collects those
+// made in the same tick. Batches holding `maxSize` queries are sent right away.
+const DEFAULT_BATCH = {
+  window: 0,
+  maxSize: 100
+};
+
+// Response parsers by content type: exact types first, then `type/*`, then `*/*`. Bodies of any
+// other type are parsed as JSON.
+const DEFAULT_PARSERS = {
+  'application/json': 'json',
+  'text/*': 'text'
+};
 
 module.exports = {
   DataStatus,
+  CacheDecision,
   DEFAULT_CACHE_TTL,
-  DEFAULT_REQUEST_TIMEOUT
+  DEFAULT_REQUEST_TIMEOUT,
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_PAGINATION,
+  DEFAULT_BATCH,
+  DEFAULT_PARSERS,
+  MAX_MIDDLEWARE_RETRIES
 }
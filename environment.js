@@ -0,0 +1,63 @@
+'use strict';
+
+const EventEmitter = require('events');
+const {isBrowser} = require('./util');
+
+// An environment tells an ExternalAPI when connectivity comes back and when the app regains focus.
+// Each `on...` method subscribes a listener and returns the function that unsubscribes it.
+const browserEnvironment = {
+  onReconnect(listener) {
+    window.addEventListener('online', listener);
+    return () => window.removeEventListener('online', listener);
+  },
+
+  onFocus(listener) {
+    window.addEventListener('focus', listener);
+    return () => window.removeEventListener('focus', listener);
+  }
+};
+
+// Node has no notion of connectivity or focus events; queued work there is replayed through
+// `flushQueue()`.
+const serverEnvironment = {
+  onReconnect() {
+    return () => {};
+  },
+
+  onFocus() {
+    return () => {};
+  }
+};
+
+// Environment driven by hand, for tests and for platforms with their own connectivity APIs
+// (e.g. React Native's NetInfo).
+class ManualEnvironment extends EventEmitter {
+  onReconnect(listener) {
+    this.on('reconnect', listener);
+    return () => this.removeListener('reconnect', listener);
+  }
+
+  onFocus(listener) {
+    this.on('focus', listener);
+    return () => this.removeListener('focus', listener);
+  }
+
+  reconnect() {
+    this.emit('reconnect');
+  }
+
+  focus() {
+    this.emit('focus');
+  }
+}
+
+function getDefaultEnvironment() {
+  return isBrowser() ? browserEnvironment : serverEnvironment;
+}
+
+module.exports = {
+  browserEnvironment,
+  serverEnvironment,
+  ManualEnvironment,
+  getDefaultEnvironment
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+const _ = require('lodash');
+const Promise = require('bluebird');
+const {parseResponseBody} = require('./util');
+
+const writeFile = Promise.promisify(fs.writeFile);
+
+// Fixture keys read `'<METHOD> <path>[?<query>]'`, e.g. `'GET /users/:username'` or
+// `'GET /users?page=2'`. Path segments starting with `:` match any value and are handed to function
+// fixtures as `params`; a query only matches requests carrying (at least) the same values.
+function parseFixtureKey(key) {
+  const [method, target = ''] = key.trim().split(/\s+/);
+  const [path, queryString = ''] = target.split('?');
+
+  return {
+    method: method.toLowerCase(),
+    segments: _.compact(path.split('/')),
+    query: _.fromPairs(Array.from(new URLSearchParams(queryString).entries()))
+  };
+}
+
+function matchFixture({method, segments, query}, request) {
+  const requestSegments = _.compact((request.path || '').split('/'));
+  if (method !== request.method.toLowerCase() || segments.length !== requestSegments.length) {
+    return null;
+  }
+
+  const params = {};
+  const pathMatches = segments.every((segment, index) => {
+    if (_.startsWith(segment, ':')) {
+      params[segment.slice(1)] = decodeURIComponent(requestSegments[index]);
+      return true;
+    }
+    return segment === requestSegments[index];
+  });
+  const queryMatches = _.every(query, (value, name) => String(_.get(request.query, name)) === value);
+
+  return pathMatches && queryMatches ? params : null;
+}
+
+// Keys with a query are more specific than the same path without one, and are tried first.
+function findFixture(fixtures, request) {
+  const candidates = _.sortBy(_.keys(fixtures), (key) => _.includes(key, '?') ? 0 : 1);
+  for (const key of candidates) {
+    const params = matchFixture(parseFixtureKey(key), request);
+    if (params !== null) {
+      return {fixture: fixtures[key], params};
+    }
+  }
+
+  return null;
+}
+
+// A transport answering from fixtures instead of the network. `fixtures` maps fixture keys to
+// responses (`{status, headers, body}`, the status defaulting to 200) or to functions of
+// `(request, params)` returning one (or throwing, for a request that got no response). `fixtures`
+// may also be a function returning the table. Requests without a fixture get a 404. `latency` (in
+// ms, or a function of the request) delays every response; `failureRate` (between 0 and 1) is the
+// share of requests failing as if the network was down.
+function mockTransport(fixtures, {
+  latency = 0,
+  failureRate = 0
+} = {}) {
+  return (request) => new Promise((resolve, reject, onCancel) => {
+    const delay = _.isFunction(latency) ? latency(request) : latency;
+    const pending = Promise.delay(delay).then(() => {
+      if (Math.random() < failureRate) {
+        throw new Error(`Simulated network failure for ${request.method.toUpperCase()} ${request.path}`);
+      }
+
+      const match = findFixture(_.isFunction(fixtures) ? fixtures() : fixtures, request);
+      if (match === null) {
+        return {status: 404, headers: {}, body: ''};
+      }
+
+      return Promise.resolve(_.isFunction(match.fixture) ? match.fixture(request, match.params) : match.fixture)
+        .then((response) => Object.assign({status: 200, headers: {}}, response));
+    });
+
+    pending.then(resolve, reject);
+    onCancel(() => pending.cancel());
+  });
+}
+
+function fixtureKeyFor({method, path = '', query}) {
+  const queryString = new URLSearchParams(_.toPairs(_.omitBy(query, _.isUndefined))).toString();
+  return `${method.toUpperCase()} ${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+// Wraps a transport and records the last response to every request, keyed like fixtures, so a
+// session against a real backend can be replayed through `mockTransport` later.
+class FixtureRecorder {
+  constructor(transport) {
+    this.fixtures = {};
+    this.transport = (request) => Promise.resolve(transport(request)).then((response) => {
+      this.fixtures[fixtureKeyFor(request)] = {
+        status: response.status,
+        headers: response.headers || {},
+        body: readableBody(response.body)
+      };
+      return response;
+    });
+  }
+
+  save(path) {
+    return writeFile(path, JSON.stringify(this.fixtures, null, 2));
+  }
+}
+
+// Bodies are stored parsed when they are JSON, so fixture files stay readable and editable.
+function readableBody(body) {
+  try {
+    return parseResponseBody(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+function loadFixtures(path) {
+  return JSON.parse(fs.readFileSync(path, 'utf8'));
+}
+
+module.exports = {
+  mockTransport,
+  FixtureRecorder,
+  loadFixtures
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const _ = require('lodash');
+const {DataStatus} = require('./constants');
+
+// Name of a DataStatus (e.g. 'FRESH'), for output that has to survive JSON.
+function statusName(status) {
+  return _.findKey(DataStatus, (value) => value === status) || null;
+}
+
+// Keeps the last `size` entries recorded, oldest first.
+class EventLog {
+  constructor({size = 100, reporter = null} = {}) {
+    this.size = size;
+    this.reporter = reporter;
+    this.entries = [];
+    this.start = 0;
+  }
+
+  record(entry) {
+    const loggedEntry = Object.assign({time: Date.now()}, entry);
+    if (this.entries.length < this.size) {
+      this.entries.push(loggedEntry);
+    } else if (this.size > 0) {
+      this.entries[this.start] = loggedEntry;
+      this.start = (this.start + 1) % this.size;
+    }
+
+    if (this.reporter) {
+      this.reporter(loggedEntry);
+    }
+  }
+
+  toArray() {
+    return this.entries.slice(this.start).concat(this.entries.slice(0, this.start));
+  }
+
+  clear() {
+    this.entries = [];
+    this.start = 0;
+  }
+}
+
+// Turns a typed change event into a log entry.
+function logEntryFor(event) {
+  return _.omitBy({
+    type: event.operation,
+    resourceId: event.resourceId,
+    cacheKey: event.cacheKey,
+    previousStatus: statusName(event.previousStatus),
+    status: statusName(event.status),
+    duration: event.duration,
+    error: _.get(event, 'error.errorMessage') || _.get(event, 'error.error.message')
+  }, _.isNil);
+}
+
+function formatLogEntry(entry) {
+  const transition = entry.previousStatus && entry.status ?
+    `${entry.previousStatus} -> ${entry.status}` :
+    entry.status;
+
+  return _.compact([
+    `[vaska] ${entry.type}`,
+    entry.resourceId,
+    entry.cacheKey,
+    transition,
+    entry.reason && `(${entry.reason})`,
+    !_.isNil(entry.duration) && `in ${entry.duration}ms`,
+    entry.error && `- ${entry.error}`
+  ]).join(' ');
+}
+
+// Prints each log entry on one line, e.g. `[vaska] fetch USER CACHEKEY-... EMPTY -> FRESH in 12ms`.
+function consoleReporter(entry) {
+  console.log(formatLogEntry(entry)); //eslint-disable-line no-console
+}
+
+module.exports = {
+  EventLog,
+  statusName,
+  logEntryFor,
+  formatLogEntry,
+  consoleReporter
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+const _ = require('lodash');
+const {CacheDecision} = require('./constants');
+const {isStatusSuccess} = require('./util');
+
+function emptyCounters() {
+  return {
+    cache: _.fromPairs(_.values(CacheDecision).map((decision) => [decision, 0])),
+    requests: {count: 0, errors: 0, totalDuration: 0, maxDuration: 0}
+  };
+}
+
+// Adds the ratios to a set of counters. Every answer from the cache, even a stale one, is a hit.
+function summarize({cache, requests}) {
+  const lookups = _.sum(_.values(cache));
+  const hits = cache[CacheDecision.HIT_FRESH] + cache[CacheDecision.HIT_STALE] + cache[CacheDecision.HIT_ERROR];
+
+  return {
+    cache: Object.assign({hitRatio: lookups ? hits / lookups : 0}, cache),
+    requests: {
+      count: requests.count,
+      errors: requests.errors,
+      errorRate: requests.count ? requests.errors / requests.count : 0,
+      averageDuration: requests.count ? requests.totalDuration / requests.count : 0,
+      maxDuration: requests.maxDuration
+    }
+  };
+}
+
+// Counts cache decisions and transport calls, in total and per resource.
+class Metrics {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.totals = emptyCounters();
+    this.resources = {};
+  }
+
+  countersFor(resourceId) {
+    const counters = [this.totals];
+    if (!_.isNil(resourceId)) {
+      this.resources[resourceId] = this.resources[resourceId] || emptyCounters();
+      counters.push(this.resources[resourceId]);
+    }
+
+    return counters;
+  }
+
+  recordDecision(resourceId, decision) {
+    this.countersFor(resourceId).forEach(({cache}) => {
+      cache[decision] += 1;
+    });
+  }
+
+  // Requests that got no response or an unsuccessful status count as errors.
+  recordRequest(resourceId, {status, duration}) {
+    this.countersFor(resourceId).forEach(({requests}) => {
+      requests.count += 1;
+      requests.errors += isStatusSuccess(status) ? 0 : 1;
+      requests.totalDuration += duration;
+      requests.maxDuration = Math.max(requests.maxDuration, duration);
+    });
+  }
+
+  snapshot() {
+    return Object.assign(summarize(this.totals), {
+      resources: _.mapValues(this.resources, summarize)
+    });
+  }
+}
+
+module.exports = {
+  Metrics
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+const _ = require('lodash');
+const Promise = require('bluebird');
+const {parseResponseBody} = require('./util');
+
+// Binary bodies are Buffers in Node and Blobs in browsers.
+function isBinary(body) {
+  return (typeof Buffer !== 'undefined' && Buffer.isBuffer(body)) ||
+    (typeof Blob !== 'undefined' && body instanceof Blob);
+}
+
+function toText(body) {
+  if (_.isNil(body)) {
+    return Promise.resolve('');
+  } else if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return Promise.resolve(body.text());
+  }
+
+  return Promise.resolve(isBinary(body) ? body.toString('utf8') : body);
+}
+
+// Bodies that are neither text nor binary were already parsed by the transport and pass through.
+const BODY_PARSERS = {
+  json: (body) => isBinary(body) ? toText(body).then(parseResponseBody) : parseResponseBody(body),
+  text: (body) => _.isNil(body) || isBinary(body) ? toText(body) : body,
+  binary: (body) => body
+};
+
+function getContentType(headers = {}) {
+  const name = _.findKey(headers, (value, key) => key.toLowerCase() === 'content-type');
+  return name ? String(headers[name]).split(';')[0].trim().toLowerCase() : '';
+}
+
+// `parsers` maps content types (`'text/csv'`, `'image/*'`, `'*/*'`) to `'json'`, `'text'`,
+// `'binary'` or a `(body, response)` function.
+function selectParser(parsers, contentType) {
+  const [type] = contentType.split('/');
+  const parser = _.find([parsers[contentType], parsers[`${type}/*`], parsers['*/*']], (candidate) => {
+    return !_.isUndefined(candidate);
+  }) || 'json';
+
+  return _.isFunction(parser) ? parser : BODY_PARSERS[parser];
+}
+
+// Resolves with the body of `response` parsed according to its content type.
+function parseBody(parsers, response) {
+  return Promise.try(() => selectParser(parsers, getContentType(response.headers))(response.body, response));
+}
+
+// Resources parsing anything as binary have every response handed over as binary data; the other
+// parsers decode it.
+function usesBinary(parsers) {
+  return _.includes(_.values(parsers), 'binary');
+}
+
+module.exports = {
+  toText,
+  parseBody,
+  usesBinary
+};
@@ -1,26 +1,68 @@
 'use strict';
 
 const _ = require('lodash');
-const request = require('superagent');
 const EventEmitter = require('events');
 const {
   fromJS,
+  is,
+  List,
   Map,
   Set
 } = require('immutable');
 const {
   DataStatus,
+  CacheDecision,
   DEFAULT_CACHE_TTL,
-  DEFAULT_REQUEST_TIMEOUT
+  DEFAULT_REQUEST_TIMEOUT,
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_PAGINATION,
+  DEFAULT_BATCH,
+  DEFAULT_PARSERS,
+  MAX_MIDDLEWARE_RETRIES
 } = require('./constants');
 const {
   isServer,
   isBrowser,
   isStatusSuccess,
   isInvalidRequest,
+  isNetworkError,
+  isRetryable,
+  getRetryDelay,
+  getCacheHeaders,
+  toResponseError,
   normalizeError,
   keyBuilder
 } = require('./util');
+const {superagentTransport} = require('./transport');
+const {
+  mockTransport,
+  FixtureRecorder,
+  loadFixtures
+} = require('./fixtures');
+const {
+  ValidationError,
+  validateBody
+} = require('./validation');
+const {Metrics} = require('./metrics');
+const {
+  toText,
+  parseBody,
+  usesBinary
+} = require('./parsers');
+const {
+  EventLog,
+  statusName,
+  logEntryFor,
+  consoleReporter
+} = require('./inspector');
+const {
+  ManualEnvironment,
+  getDefaultEnvironment
+} = require('./environment');
+const {
+  MemoryStorageAdapter,
+  FileStorageAdapter
+} = require('./storage');
 const Promise = require('bluebird');
 
 Promise.config({
@@ -34,6 +76,136 @@ Promise.config({
     monitoring: false
 });
 
+const RESPOND = Symbol('RESPOND');
+const RETRY = Symbol('RETRY');
+
+// Runs one middleware hook after another, each receiving the previous hook's result. A hook that
+// returns nothing keeps the current value; one that returns a respond/retry marker ends the chain.
+function runHooks(middleware, hookName, initialValue, context) {
+  return middleware.reduce((pending, hooks) => pending.then((value) => {
+    if (!_.isFunction(hooks[hookName]) || value[RESPOND] || value[RETRY]) {
+      return value;
+    }
+
+    return Promise.resolve(hooks[hookName](value, context))
+      .then((result) => _.isUndefined(result) ? value : result);
+  }), Promise.resolve(initialValue));
+}
+
+// Error hooks may recover with a response or a retry marker. Returning nothing passes the error
+// on to the next hook and throwing replaces it.
+function runErrorHooks(middleware, initialError, context) {
+  return middleware.reduce((pending, hooks) => pending.catch((error) => {
+    if (!_.isFunction(hooks.onError)) {
+      throw error;
+    }
+
+    return Promise.resolve(hooks.onError(error, context)).then((result) => {
+      if (_.isUndefined(result)) {
+        throw error;
+      }
+      return result;
+    });
+  }), Promise.reject(initialError));
+}
+
+function parseResponse(response, parsers) {
+  return parseBody(parsers, response).then((body) => Object.assign({}, response, {body}), (error) => {
+    // Error pages are not always JSON; leave their bodies for `normalizeError` to deal with.
+    if (!isStatusSuccess(response.status)) {
+      return response;
+    }
+    error.status = response.status;
+    throw error;
+  });
+}
+
+// Cache headers stored on entries (see `getCacheHeaders`). Snapshots keep them along with the
+// query and tags of each entry.
+const CACHE_HEADER_FIELDS = ['etag', 'lastModified', 'maxAge'];
+const SNAPSHOT_FIELDS = CACHE_HEADER_FIELDS.concat(['params', 'query', 'queryTags', 'tags']);
+
+// Actions of mutation cache updates: `'set'` writes the response as the entry's data, `'append'` and
+// `'prepend'` add it to the entry's list and `'remove'` drops the list items `matches(item, response)`
+// picks, or the entry itself without `matches`. Functions of `(data, response)` return the new data.
+const CACHE_UPDATE_ACTIONS = ['set', 'append', 'prepend', 'remove'];
+
+// Headers asking the server to only send an entry's data back if it changed since it was cached.
+function conditionalHeaders(entry) {
+  return _.omitBy({
+    'If-None-Match': entry.get('etag'),
+    'If-Modified-Since': entry.get('lastModified')
+  }, _.isUndefined);
+}
+
+// Orders eviction candidates, least valuable first: least recently used, or least frequently used
+// with recency breaking ties.
+function compareEvictionCandidates(policy) {
+  return (a, b) => {
+    if (policy === 'lfu' && a.hits !== b.hits) {
+      return a.hits - b.hits;
+    }
+    return a.lastAccess - b.lastAccess;
+  };
+}
+
+// Evicts candidates in order until the remaining ones fit within `maxEntries` and `maxBytes`.
+function selectEvictions(candidates, {maxEntries, maxBytes, policy}, totalEntries, totalBytes) {
+  let entries = totalEntries;
+  let bytes = totalBytes;
+
+  return _.takeWhile(candidates.slice().sort(compareEvictionCandidates(policy)), (candidate) => {
+    const overLimit = (!_.isNil(maxEntries) && entries > maxEntries) || (!_.isNil(maxBytes) && bytes > maxBytes);
+    if (overLimit) {
+      entries -= 1;
+      bytes -= candidate.size;
+    }
+    return overLimit;
+  });
+}
+
+// Events without a resource (auth changes) concern everyone; events without a cache key concern
+// every query of their resource.
+function subscriptionMatches(subscription, event) {
+  if (_.isNil(event.resourceId)) {
+    return true;
+  }
+
+  return subscription.resourceId === event.resourceId &&
+    (_.isNil(event.cacheKey) || subscription.cacheKey === event.cacheKey);
+}
+
+// The status of a composite payload is that of its least ready part.
+const STATUS_PRECEDENCE = [
+  DataStatus.ERROR,
+  DataStatus.EMPTY,
+  DataStatus.PENDING_PUT,
+  DataStatus.PENDING_POST,
+  DataStatus.PENDING_DELETE,
+  DataStatus.PENDING_PATCH,
+  DataStatus.PENDING_REQUEST,
+  DataStatus.STALE,
+  DataStatus.FRESH
+];
+
+function aggregateStatus(payloads) {
+  const statuses = payloads.map((payload) => payload.status);
+  return _.find(STATUS_PRECEDENCE, (status) => _.includes(statuses, status)) || DataStatus.FRESH;
+}
+
+// Any HTTP token: standard methods as well as custom ones (e.g. `purge`, `m-search`).
+const HTTP_METHOD = /^[a-z0-9!#$%&'*+.^_`|~-]+$/;
+
+// DELETE resolves with an empty Map, HEAD with the response headers and anything else with the body.
+function mutationResult(method, response) {
+  if (method === 'delete') {
+    return new Map();
+  } else if (method === 'head') {
+    return fromJS(response.headers || {});
+  }
+
+  return fromJS(response.body);
+}
 
 function getEmptyPayload(model, modelInterface = {}) {
   return new Payload({
@@ -44,6 +216,26 @@ function getEmptyPayload(model, modelInterface = {}) {
   });
 }
 
+// Rebuilds the Immutable cache structure from a snapshot produced by `ExternalAPI.dehydrate()`.
+// Accepts either the plain object or its JSON string form.
+function rehydrateCache(snapshot = {}) {
+  const plainSnapshot = _.isString(snapshot) ? JSON.parse(snapshot) : snapshot;
+
+  return new Map(_.mapValues(plainSnapshot, (entries) => {
+    return new Map(_.mapValues(entries, (entry) => {
+      const cacheEntry = fromJS(_.pick(entry, SNAPSHOT_FIELDS)).merge({
+        data: fromJS(entry.data),
+        timestamp: entry.timestamp,
+        success: true
+      });
+
+      return _.has(entry, 'nextPage') ?
+        cacheEntry.merge({nextPage: entry.nextPage, hasMore: true}) :
+        cacheEntry;
+    }));
+  }));
+}
+
 class Payload {
   constructor({
       /* eslint-disable no-unused-vars */
@@ -53,14 +245,34 @@ class Payload {
     parentApi,
     error,
     customHookData,
-    modelInterface
+    modelInterface,
+    attempt = 0,
+    nextRetryAt = null,
+    onCancel = _.noop,
+    hasMore = false,
+    isLoadingMore = false,
+    pageError = null,
+    fetchMore,
+    parts = null,
+    getUploadProgress = () => null
     /* eslint-enable no-unused-vars */
   }) {
     this._data = data;
     this._promise = promise;
     this._error = error;
+    this._onCancel = onCancel;
+    this.cancelled = false;
 
     this.status = status;
+    this.customHookData = customHookData;
+    this.attempt = attempt;
+    this.nextRetryAt = nextRetryAt;
+    this.hasMore = hasMore;
+    this.isLoadingMore = isLoadingMore;
+    this.pageError = pageError;
+    this._fetchMore = fetchMore;
+    this._getUploadProgress = getUploadProgress;
+    this.parts = parts;
     this.parentApi = parentApi;
     this.affectedResources = new Set();
     this.invalidatedResources = new Set();
@@ -105,17 +317,44 @@ class Payload {
     return this._promise;
   }
 
+  // `{loaded, total, percent}` of the request body sent so far, or `null` before any was reported.
+  get uploadProgress() {
+    return this._getUploadProgress();
+  }
+
+  // Only paginated resources have more to fetch; for anything else this resolves with `data`.
+  fetchMore() {
+    return this._fetchMore ? this._fetchMore() : Promise.resolve(this._data);
+  }
+
+  // Lets go of the underlying request. A GET shared with other payloads is only aborted once every
+  // one of them has been cancelled.
+  cancel() {
+    if (!this.cancelled) {
+      this.cancelled = true;
+      this._onCancel();
+    }
+
+    return this;
+  }
+
   affectsResource(resourceObject) {
     if (this.affectedResources.isEmpty()) {
       this.promise.then((response) => {
-        this.affectedResources.forEach((resource) => {
-          const key = keyBuilder(resource);
-          this.parentApi.resourcePool
-            .get(resource.id)
-            .invalidateCacheKey(key);
+        const events = this.affectedResources.toArray().map((resourceObject) => {
+          const resource = this.parentApi.resourcePool.get(resourceObject.id);
+          const cacheKey = resource.cacheKeyFor(resourceObject);
+          const previousStatus = resource.statusOf(cacheKey);
+          resource.invalidateCacheKey(cacheKey);
+
+          return resource.changeEvent(cacheKey, {
+            operation: 'invalidate',
+            previousStatus,
+            customHookData: this.customHookData
+          });
         });
 
-        this.parentApi.emit('change', {payload: fromJS(response), customHookData: this.customHookData});
+        this.parentApi.notify(events, {payload: fromJS(response), customHookData: this.customHookData});
       }).catch(() => {});
     }
 
@@ -127,13 +366,15 @@ class Payload {
   invalidatesResource(resourceId) {
     if (this.invalidatedResources.isEmpty()) {
       this.promise.then((response) => {
-        this.invalidatedResources.forEach((id) => {
+        const events = this.invalidatedResources.toArray().map((id) => {
           const resource = this.parentApi.resourcePool
             .get(id, new Map());
           resource.invalidateCache();
+
+          return {operation: 'invalidate', resourceId: id, cacheKey: null, customHookData: this.customHookData};
         });
 
-        this.parentApi.emit('change', {payload: fromJS(response), customHookData: this.customHookData});
+        this.parentApi.notify(events, {payload: fromJS(response), customHookData: this.customHookData});
       }).catch(() => {});
     }
 
@@ -144,35 +385,105 @@ class Payload {
 }
 
 class ExternalAPI extends EventEmitter {
-  constructor({
-    /* eslint-disable no-unused-vars */
-    id = null,
-    location,
-    timeout = DEFAULT_REQUEST_TIMEOUT,
-    cacheClearoutInterval = null,
-    initialCache = new Map()
-    /* eslint-enable no-unused-vars */
-  }) {
+  constructor(config) {
     super();
+    const {
+      id = null,
+      location,
+      timeout = DEFAULT_REQUEST_TIMEOUT,
+      cacheClearoutInterval = null,
+      initialCache = new Map(),
+      transport = superagentTransport,
+      middleware = [],
+      retry = null,
+      persistence = null,
+      mutationQueue = null,
+      environment = getDefaultEnvironment(),
+      eviction = null,
+      debug = {},
+      instrumentation = [],
+      mock = null
+    } = config;
+
+    this.config = config;
     this.id = id;
     this.location = location;
     this.timeout = timeout;
     this.initialCache = initialCache;
     this.cacheClearoutInterval = cacheClearoutInterval;
+    this.mock = mock ? Object.assign({fixtures: {}}, mock === true ? {} : mock) : null;
+    this.transport = this.mock ? mockTransport(() => this.collectFixtures(), this.mock) : transport;
+    this.middleware = new List(middleware);
+    this.retry = retry;
+    this.entities = new Map();
+    this.changedEntities = new Map();
+    this.persistence = persistence ? Object.assign({
+      key: `vaska-cache:${id || 'default'}`,
+      version: 1,
+      maxAge: null
+    }, persistence) : null;
+    this.persistedSnapshot = {};
+    this.environment = environment;
+    this.mutationQueue = mutationQueue ? Object.assign({
+      getIdempotencyKey: () => null,
+      idempotencyHeader: 'Idempotency-Key'
+    }, mutationQueue) : null;
+    this.queuedMutations = new List();
+    this.flushing = null;
+    this.eviction = eviction ? Object.assign({policy: 'lru'}, eviction) : null;
+    this.accessClock = 0;
+    this.subscriptions = new List();
+    this.eventLog = new EventLog({size: debug.logSize, reporter: debug.reporter});
+    this.instrumentation = new List(_.castArray(instrumentation));
+    this.metrics = new Metrics();
+    this.unsubscribeEnvironment = [
+      environment.onReconnect(() => this.handleReconnect()),
+      environment.onFocus ? environment.onFocus(() => this.revalidateWatched('refetchOnFocus')) : _.noop
+    ];
     this.resourcePool = new Map();
+    this.resourceDefinitions = new Map();
     this.authHeader = {};
+    this.isFork = false;
+    this.warnedSharedAuth = false;
+    this.disposed = false;
+    this.persistenceReady = this.persistence ? this.restorePersistedCache() : Promise.resolve();
   }
 
-  addResource({
-    id,
-    timeUntilStale = DEFAULT_CACHE_TTL,
-    endpoint,
-    model,
-    modelInterface,
-    authRequired = false
-  }) {
+  static fromSnapshot(snapshot, config = {}) {
+    return new ExternalAPI(Object.assign({}, config, {
+      initialCache: rehydrateCache(snapshot)
+    }));
+  }
+
+  addResource(definition) {
+    const {
+      id,
+      timeUntilStale = DEFAULT_CACHE_TTL,
+      endpoint,
+      model,
+      modelInterface,
+      authRequired = false,
+      retry = this.retry,
+      entity,
+      pagination,
+      batch,
+      validate,
+      parsers,
+      persist = false,
+      eviction,
+      refreshInterval = null,
+      refetchOnFocus = false,
+      refetchOnReconnect = false,
+      respectCacheControl = false,
+      tags
+    } = definition;
+
     if (_.isUndefined(endpoint) || _.isUndefined(model)) {
       throw new Error('Could not add resource: endpoint and model must both be specified');
+    } else if (batch && (!_.isFunction(batch.getRequest) || !_.isFunction(batch.splitResponse))) {
+      throw new Error('Could not add resource: batch requires both getRequest and splitResponse');
+    } else if (batch && pagination) {
+      throw new Error('Could not add resource: paginated resources cannot be batched');
     }
 
     const resourceKey = id;
@@ -184,15 +495,185 @@ class ExternalAPI extends EventEmitter {
       model,
       modelInterface,
       authRequired,
+      retryPolicy: retry ? Object.assign({}, DEFAULT_RETRY_POLICY, retry) : null,
+      entitySchema: entity ? Object.assign({idAttribute: 'id'}, entity) : null,
+      pagination: pagination ? Object.assign({}, DEFAULT_PAGINATION, pagination) : null,
+      batch: batch ? Object.assign({}, DEFAULT_BATCH, batch) : null,
+      validation: validate ? Object.assign({mode: 'warn'}, validate) : null,
+      parsers: Object.assign({}, DEFAULT_PARSERS, parsers),
+      persist: Boolean(persist && this.persistence),
+      eviction: eviction ? Object.assign({policy: 'lru'}, eviction) : null,
+      refreshInterval,
+      refetchOnFocus,
+      refetchOnReconnect,
+      respectCacheControl,
+      tags,
       initialCache: this.initialCache.get(id, new Map())
     });
     this.resourcePool = this.resourcePool.set(resourceKey, resource);
+    this.resourceDefinitions = this.resourceDefinitions.set(resourceKey, definition);
+    if (resource.persist) {
+      resource.restoreEntries(this.restorablePersistedEntries(id, persist.maxAge));
+    }
 
     return id;
   }
 
   removeResource(id) {
+    const resource = this.resourcePool.get(id, null);
+    if (resource !== null) {
+      resource.dispose();
+    }
+    this.subscriptions = this.subscriptions.filter((subscription) => subscription.resourceId !== id);
     this.resourcePool = this.resourcePool.delete(id);
+    this.resourceDefinitions = this.resourceDefinitions.delete(id);
+  }
+
+  // Creates a request-scoped copy of this API: the same configuration and resource definitions,
+  // but its own caches, auth header and listeners. Call `dispose()` on it once the request is done.
+  fork({
+    authHeader = {},
+    initialCache = new Map()
+  } = {}) {
+    const forked = new ExternalAPI(Object.assign({}, this.config, {
+      initialCache,
+      middleware: this.middleware.toArray(),
+      persistence: null
+    }));
+    forked.isFork = true;
+    this.resourceDefinitions.forEach((definition) => forked.addResource(definition));
+    if (!_.isEmpty(authHeader)) {
+      forked.authHeader = authHeader;
+    }
+
+    return forked;
+  }
+
+  dispose() {
+    this.resourcePool.forEach((resource) => resource.dispose());
+    this.resourcePool = new Map();
+    this.resourceDefinitions = new Map();
+    this.entities = new Map();
+    this.changedEntities = new Map();
+    this.queuedMutations = new List();
+    this.unsubscribeEnvironment.forEach((unsubscribe) => unsubscribe());
+    this.authHeader = {};
+    this.disposed = true;
+    this.removeAllListeners();
+  }
+
+  // Adds `{onRequest, onResponse, onError}` hooks to the end of the middleware chain. Returns a
+  // function that removes them again.
+  use(middleware) {
+    this.middleware = this.middleware.push(middleware);
+
+    return () => {
+      this.middleware = this.middleware.filter((entry) => entry !== middleware);
+    };
+  }
+
+  // Sends a request descriptor through the middleware chain and the transport. Resolves with the
+  // response, whatever its status, once its body is parsed.
+  dispatch(request, {resourceId} = {}) {
+    const attempt = (currentRequest, attemptCount) => {
+      const middleware = this.middleware;
+      const context = {
+        api: this,
+        resourceId,
+        attempt: attemptCount,
+        respond: (response) => ({[RESPOND]: response}),
+        retry: (retryRequest = request) => ({[RETRY]: retryRequest})
+      };
+
+      return runHooks(middleware, 'onRequest', currentRequest, context)
+        .then((result) => {
+          if (result[RETRY]) {
+            return result;
+          }
+
+          return result[RESPOND] ?
+            result[RESPOND] :
+            this.callTransport(result, {resourceId, attempt: attemptCount});
+        })
+        .then((response) => {
+          return response[RETRY] ? response : runHooks(middleware, 'onResponse', response, context);
+        }, (error) => runErrorHooks(middleware, error, context))
+        .then((result) => {
+          if (!result[RETRY]) {
+            return result[RESPOND] || result;
+          } else if (attemptCount > MAX_MIDDLEWARE_RETRIES) {
+            throw new Error(`Request to ${request.url} was retried more than ${MAX_MIDDLEWARE_RETRIES} times`);
+          }
+          return attempt(result[RETRY], attemptCount + 1);
+        });
+    };
+
+    return attempt(request, 1);
+  }
+
+  // In mock mode, requests are answered from the API's `fixtures` and those of its resources. Keys
+  // of resource fixtures that leave out the path (e.g. `'GET'` or `'GET ?page=2'`) apply to the
+  // resource's endpoint.
+  collectFixtures() {
+    return this.resourceDefinitions.reduce((fixtures, definition) => {
+      _.forEach(definition.fixtures, (fixture, key) => {
+        const [method, target = ''] = key.trim().split(/\s+/);
+        fixtures[_.startsWith(target, '/') ? key : `${method} ${definition.endpoint}${target}`] = fixture;
+      });
+      return fixtures;
+    }, Object.assign({}, this.mock.fixtures));
+  }
+
+  // Calls the transport with the request, reporting the call to the instrumentation and the
+  // metrics. Headers returned by `onRequestStart` hooks (e.g. trace context) are added to the request.
+  callTransport(request, {resourceId, attempt}) {
+    const traceHeaders = this.instrumentation.reduce((headers, hooks) => {
+      return _.isFunction(hooks.onRequestStart) ?
+        Object.assign(headers, hooks.onRequestStart({resourceId, request, attempt})) :
+        headers;
+    }, {});
+    const tracedRequest = _.isEmpty(traceHeaders) ?
+      request :
+      Object.assign({}, request, {headers: Object.assign({}, request.headers, traceHeaders)});
+
+    const startedAt = Date.now();
+    const finish = (outcome) => {
+      const call = Object.assign({resourceId, request: tracedRequest, attempt, duration: Date.now() - startedAt}, outcome);
+      this.metrics.recordRequest(resourceId, call);
+      this.instrumentation
+        .filter((hooks) => _.isFunction(hooks.onRequestEnd))
+        .forEach((hooks) => hooks.onRequestEnd(call));
+    };
+
+    const resource = this.resourcePool.get(resourceId, null);
+    return Promise.resolve(this.transport(tracedRequest)).then((response) => {
+      finish({status: response.status});
+      return parseResponse(response, resource ? resource.parsers : DEFAULT_PARSERS);
+    }, (error) => {
+      // Only failures of the transport itself mean the network is unreachable (see `isNetworkError`).
+      const networkError = _.isObject(error) ? error : new Error(String(error));
+      networkError.networkError = true;
+      finish({status: null, error: networkError});
+      throw networkError;
+    });
+  }
+
+  // Counts what `Resource.get` did with a GET and reports it to the instrumentation.
+  recordCacheDecision(resourceId, cacheKey, decision) {
+    this.metrics.recordDecision(resourceId, decision);
+    this.instrumentation
+      .filter((hooks) => _.isFunction(hooks.onCacheDecision))
+      .forEach((hooks) => hooks.onCacheDecision({resourceId, cacheKey, decision}));
+  }
+
+  // Cache and request counters since the API was created (or `resetMetrics()` was last called), in
+  // total and per resource.
+  getMetrics() {
+    return this.metrics.snapshot();
+  }
+
+  resetMetrics() {
+    this.metrics.reset();
   }
 
   queryResource({
@@ -202,12 +683,18 @@ class ExternalAPI extends EventEmitter {
     header = {},
     method = 'get',
     payload,
+    multipart = false,
     forceRefresh = false,
+    optimistic,
+    updates,
+    tags,
     customHookData
   }) {
     const resource = this.resourcePool.get(id, null);
 
-    if (resource === null) {
+    if (this.disposed) {
+      throw new Error(`Cannot query resource ${id}: this API has been disposed.`);
+    } else if (resource === null) {
       throw new Error(`Resource ${id} was never initialized.`);
     } else {
       let res = null;
@@ -220,7 +707,11 @@ class ExternalAPI extends EventEmitter {
           forceRefresh: forceRefresh,
           method: method.toLowerCase(),
           payload: payload,
+          multipart,
           auth: this.isAuthenticated(),
+          optimistic,
+          updates,
+          tags,
           customHookData
         });
       } catch (err) {
@@ -230,423 +721,1813 @@ class ExternalAPI extends EventEmitter {
     }
   }
 
-  isAuthenticated() {
-    return !_.isEmpty(this.authHeader);
+  // Emits the legacy `change` event once, then each typed event as `resourceChange` and to the
+  // subscribers of the queries it concerns. Queries reading entities changed since the last
+  // notification hear about it through an `entity` event.
+  notify(events, change = {}) {
+    this.emit('change', change);
+    events.concat(this.entityChangeEvents(events, change.customHookData)).forEach((event) => {
+      this.eventLog.record(logEntryFor(event));
+      this.emit('resourceChange', event);
+      this.subscriptions
+        .filter((subscription) => subscriptionMatches(subscription, event))
+        .forEach((subscription) => subscription.listener(event));
+    });
   }
 
-  setAuthHeader(authHeader) {
-    this.authHeader = authHeader;
-    this.resourcePool.map((resource) => { resource.invalidateCache() })
-    this.emit('change');
+  // Calls `listener` with the typed events of a single query: its own, those of its whole resource
+  // and auth changes. Subscribed queries are retained and kept up to date by their resource's
+  // polling and refetch options. Returns a function that unsubscribes.
+  subscribe({
+    resourceId,
+    params,
+    query,
+    header
+  }, listener) {
+    const resource = this.resourcePool.get(resourceId, null);
+    if (resource === null) {
+      throw new Error(`Resource ${resourceId} was never initialized.`);
+    }
+
+    const subscription = {
+      resourceId,
+      cacheKey: resource.cacheKeyFor({params, query, header}),
+      listener
+    };
+    const release = resource.retain(subscription.cacheKey);
+    const unwatch = resource.watch({params, query, header});
+    this.subscriptions = this.subscriptions.push(subscription);
+
+    return () => {
+      release();
+      unwatch();
+      this.subscriptions = this.subscriptions.filter((entry) => entry !== subscription);
+    };
   }
 
-  unsetAuthHeader() {
-    this.authHeader = {};
-    this.resourcePool.map((resource) => { resource.invalidateCache() })
-    this.emit('change');
+  // Queued mutations are replayed before anything is refetched, so refetched data includes them.
+  handleReconnect() {
+    const flushed = this.mutationQueue ? this.flushQueue() : Promise.resolve();
+    return flushed.then(() => this.revalidateWatched('refetchOnReconnect'));
   }
-}
 
+  // Refetches the subscribed queries of every resource with `option` enabled.
+  revalidateWatched(option) {
+    this.resourcePool
+      .filter((resource) => resource[option])
+      .forEach((resource) => resource.revalidateWatched());
+  }
 
-// Each resource keeps track of the params keyed and has multiple resources within itself
-// and refetches if expired. Keep a fetch timestamp. Update authtoken!
-// endpointTemplate: e.g. /sets/:id
-class Resource {
-  constructor({
-    /* eslint-disable no-unused-vars */
-    endpointTemplate,
-    timeUntilStale,
-    model,
-    modelInterface,
-    parentApi,
-    authRequired = false,
-    initialCache
-    /* eslint-ensable no-unused-vars */
+  // Keeps the entry of a query from being evicted until the returned function is called.
+  retain({
+    id,
+    params,
+    query,
+    header
   }) {
-    this.cache = initialCache;
-    this.endpointTemplate = endpointTemplate;
-    this.timeUntilStale = timeUntilStale;
-    this.model = model;
-    this.parentApi = parentApi;
-    this.authRequired = authRequired;
-    this.modelInterface = modelInterface;
+    const resource = this.resourcePool.get(id, null);
+    if (resource === null) {
+      throw new Error(`Resource ${id} was never initialized.`);
+    }
+
+    return resource.retain(resource.cacheKeyFor({params, query, header}));
   }
 
-  invalidateCache() {
-    this.cache = this.cache.map((value, cacheKey) => {
-      return value.has('timestamp') ? value.set('timestamp', 0) : value;
+  // Applies each resource's own eviction policy, then the API-wide one across all resources.
+  enforceEviction() {
+    this.resourcePool.forEach((resource) => {
+      if (resource.eviction) {
+        const candidates = resource.evictionCandidates();
+        const evictions = selectEvictions(candidates, resource.eviction, resource.cache.size, resource.totalBytes());
+        evictions.forEach(({cacheKey}) => resource.evict(cacheKey, 'limit'));
+      }
     });
+
+    if (this.eviction) {
+      const candidates = _.flatten(this.resourcePool.valueSeq().map((resource) => {
+        return resource.evictionCandidates();
+      }).toArray());
+      const totalEntries = this.resourcePool.reduce((total, resource) => total + resource.cache.size, 0);
+      const totalBytes = this.resourcePool.reduce((total, resource) => total + resource.totalBytes(), 0);
+      selectEvictions(candidates, this.eviction, totalEntries, totalBytes)
+        .forEach(({resource, cacheKey}) => resource.evict(cacheKey, 'limit'));
+    }
   }
 
-  invalidateCacheKey(key) {
-    if (this.cache.has(key)) {
-      this.cache = this.cache.setIn([key, 'timestamp'], 0);
+  // Queues a mutation that failed for lack of a network. Mutations sharing an idempotency key are
+  // only queued once. Resolves with the response of its replay.
+  enqueueMutation(mutation) {
+    const existing = _.isNil(mutation.idempotencyKey) ?
+      null :
+      this.queuedMutations.find((entry) => entry.idempotencyKey === mutation.idempotencyKey);
+    if (existing) {
+      return existing.promise;
     }
+
+    const entry = Object.assign({}, mutation);
+    entry.promise = new Promise((resolve, reject, onCancel) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+      onCancel(() => this.dequeueMutation(entry));
+    });
+    this.queuedMutations = this.queuedMutations.push(entry);
+    this.emit('change', {customHookData: mutation.customHookData});
+
+    return entry.promise;
   }
 
-  get({
-    id,
-    params,
-    query,
-    header,
-    payload,
-    forceRefresh,
-    auth = false,
-    method = 'get',
-    customHookData
-  }) {
-    if (!['get', 'post', 'put', 'delete'].includes(method)) {
-      throw new Error(`Method must be one of 'get', 'post', 'put', 'delete'`);
+  dequeueMutation(entry) {
+    this.queuedMutations = this.queuedMutations.filter((queued) => queued !== entry);
+  }
+
+  // Replays queued mutations in order, emitting a `replay` event for each. Replaying stops at the
+  // first mutation that still cannot reach the server; the rest stay queued. Resolves with the
+  // replay outcomes.
+  flushQueue() {
+    if (this.flushing) {
+      return this.flushing;
     }
 
-    if (!auth && this.authRequired) {
-      console.error(`Authentication required at endpoint ${this.endpointTemplate} for resource ${id}`); //eslint-disable-line no-console
-      return new Payload({
-        status: DataStatus.ERROR,
-        promise: Promise.resolve(this.model),
-        data: this.model,
-        customHookData,
-        modelInterface: this.modelInterface
+    const replayNext = (outcomes) => {
+      const entry = this.queuedMutations.first();
+      if (!entry) {
+        return outcomes;
+      }
+
+      const outcome = {
+        resourceId: entry.resource.id,
+        method: entry.request.method,
+        idempotencyKey: entry.idempotencyKey
+      };
+      return entry.resource.sendRequest(entry.request).then((response) => {
+        this.dequeueMutation(entry);
+        this.emit('replay', Object.assign(outcome, {status: 'success'}));
+        entry.resolve(response);
+        return replayNext(outcomes.concat(outcome));
+      }, (normalizedError) => {
+        if (isNetworkError(normalizedError)) {
+          this.emit('replay', Object.assign(outcome, {status: 'offline', error: normalizedError}));
+          return outcomes.concat(outcome);
+        }
+
+        this.dequeueMutation(entry);
+        this.emit('replay', Object.assign(outcome, {status: 'failed', error: normalizedError}));
+        entry.reject(normalizedError);
+        return replayNext(outcomes.concat(outcome));
       });
-    }
+    };
 
-    const now = new Date();
-    const cacheKey = keyBuilder({
-      query, params, header
+    this.flushing = replayNext([]).finally(() => {
+      this.flushing = null;
     });
-    let path = this.endpointTemplate;
 
-    if (isInvalidRequest(params)) {
-      console.warn( //eslint-disable-line no-console
-        `The specified parameters ${params} were not fully specified for resource ${id}.
-        No request will be made and you will receive an empty model.`
-      );
+    return this.flushing;
+  }
 
-      return new Payload({
-        status: DataStatus.ERROR,
-        promise: Promise.resolve(this.model),
-        data: this.model,
-        customHookData,
-        modelInterface: this.modelInterface
+  // Loads the persisted snapshot, discarding it when it was written for another version, and seeds
+  // the resources that opted in with it.
+  restorePersistedCache() {
+    const {storage, key, version} = this.persistence;
+
+    return Promise.resolve(storage.getItem(key))
+      .then((serialized) => {
+        const stored = serialized ? JSON.parse(serialized) : null;
+        if (stored && stored.version !== version) {
+          return Promise.resolve(storage.removeItem(key)).then(() => null);
+        }
+        return stored;
+      })
+      .then((stored) => {
+        this.persistedSnapshot = stored ? stored.entries : {};
+        this.resourcePool
+          .filter((resource) => resource.persist)
+          .forEach((resource, id) => {
+            const maxAge = _.get(this.resourceDefinitions.get(id), 'persist.maxAge');
+            resource.restoreEntries(this.restorablePersistedEntries(id, maxAge));
+          });
+        this.emit('change');
+      })
+      .catch((error) => {
+        console.warn(`Could not restore the persisted cache: ${error.message}`); //eslint-disable-line no-console
+      });
+  }
+
+  // Persisted entries come back expired, so they are shown right away but refetched on first use.
+  // They keep their timestamp, so `maxAge` still counts from when they were fetched if they are
+  // persisted again before that.
+  restorablePersistedEntries(id, maxAge = this.persistence.maxAge) {
+    const now = Date.now();
+    const entries = _.pickBy(this.persistedSnapshot[id], (entry) => {
+      return _.isNil(maxAge) || now - entry.timestamp < maxAge;
+    });
+
+    return rehydrateCache({[id]: entries})
+      .get(id)
+      .map((entry) => entry.set('expired', true));
+  }
+
+  // Writes the successful GETs of every resource that opted in through to storage. Entries restored
+  // for resources that have not been added yet are kept as they were.
+  persistCache() {
+    const {storage, key, version} = this.persistence;
+    const entries = this.resourcePool
+      .filter((resource) => resource.persist)
+      .reduce((snapshot, resource, id) => {
+        snapshot[id] = resource.dehydrate();
+        return snapshot;
+      }, _.omit(this.persistedSnapshot, this.resourcePool.keySeq().toArray()));
+
+    return Promise.try(() => storage.setItem(key, JSON.stringify({version, entries})))
+      .catch((error) => {
+        console.warn(`Could not persist the cache: ${error.message}`); //eslint-disable-line no-console
       });
+  }
+
+  // Merges entities into the shared table, keyed by type and then by id. The ids of the entities
+  // that changed are kept for the next `notify`.
+  mergeEntities(type, idAttribute, items) {
+    const previous = this.entities.get(type, new Map());
+    this.entities = this.entities.update(type, new Map(), (table) => {
+      return items.reduce((result, item) => {
+        return result.update(item.get(idAttribute), (existing) => existing ? existing.merge(item) : item);
+      }, table);
+    });
+    const table = this.entities.get(type);
+    items.forEach((item) => {
+      const entityId = item.get(idAttribute);
+      if (!is(previous.get(entityId), table.get(entityId))) {
+        this.changedEntities = this.changedEntities.update(type, new Set(), (ids) => ids.add(entityId));
+      }
+    });
+  }
+
+  // One `entity` event per query referencing a changed entity, leaving out the queries `events`
+  // already concern.
+  entityChangeEvents(events, customHookData) {
+    const changed = this.changedEntities;
+    this.changedEntities = new Map();
+    if (changed.isEmpty() || _.some(events, (event) => _.isNil(event.resourceId))) {
+      return [];
     }
 
-    path = _.reduce(params, (result, value, name) => {
-      return path.replace(`:${name}`, value)
-    }, path);
+    const notified = new Set(events.map((event) => List.of(event.resourceId, event.cacheKey)));
+    return this.resourcePool.valueSeq()
+      .filter((resource) => !notified.has(List.of(resource.id, null)))
+      .flatMap((resource) => resource.cacheKeysReferencing(changed)
+        .filterNot((cacheKey) => notified.has(List.of(resource.id, cacheKey)))
+        .map((cacheKey) => resource.changeEvent(cacheKey, {operation: 'entity', customHookData})))
+      .toArray();
+  }
 
-    const fullHeader = Object.assign({}, this.parentApi.authHeader, header);
-    const apiParams = {
-      path: path,
-      query: query,
-      header: fullHeader,
-      cacheKey: cacheKey,
-      payload: payload,
-      customHookData
+  getEntity(type, id) {
+    return this.entities.getIn([type, id]);
+  }
+
+  // Patches the cached data of each `{id, params, query, header, update}` target right away. Returns
+  // a function that puts the previous data back wherever it has not been replaced since. Nothing is
+  // left patched if any target resource is unknown or any `update` throws.
+  applyOptimisticUpdates(updates, customHookData) {
+    _.forEach(updates, ({id}) => {
+      if (!this.resourcePool.has(id)) {
+        throw new Error(`Resource ${id} was never initialized.`);
+      }
+    });
+    const restorers = [];
+    try {
+      _.forEach(updates, ({id, params, query, header, update}) => {
+        restorers.push(this.resourcePool.get(id).applyOptimisticUpdate({params, query, header}, update));
+      });
+    } catch (err) {
+      _.forEachRight(restorers, (restore) => restore());
+      throw err;
+    }
+    const events = (operation) => _.map(updates, ({id, params, query, header}) => {
+      const resource = this.resourcePool.get(id);
+      return resource.changeEvent(resource.cacheKeyFor({params, query, header}), {operation, customHookData});
+    });
+    this.notify(events('optimistic'), {customHookData});
+
+    return () => {
+      _.forEachRight(restorers, (restore) => restore());
+      this.notify(events('rollback'), {customHookData});
     };
+  }
 
-    if (method === 'get') {
-      if (this.cache.has(cacheKey)) {
-        const data = this.cache.get(cacheKey);
+  // Marks stale every cached query carrying any of `tags`, across all resources. With `refetch`, the
+  // subscribed ones are refetched right away. Returns the number of queries invalidated.
+  invalidateTags(tags, options) {
+    const tagSet = new Set(tags);
+    return this.invalidateMatching(this.resourcePool.valueSeq().toArray(), (query) => {
+      return query.tags.some((tag) => tagSet.has(tag));
+    }, options);
+  }
 
-        // GET is already pending
-        if (data.has('pendingGet') && data.get('success', true)) {
-          const status = data.get('data') ? DataStatus.STALE : DataStatus.EMPTY;
-          const payload = status === DataStatus.EMPTY ? this.model : data.get('data');
-          return new Payload({
-            status: status,
-            promise: data.get('pendingGet'),
-            data: payload,
-            customHookData,
-            modelInterface: this.modelInterface
-          });
-        // Last GET for this resource failed and the cache is not yet expired
+  // Same as `invalidateTags()`, for the cached queries of one resource that `predicate` picks.
+  invalidateWhere(resourceId, predicate, options) {
+    const resource = this.resourcePool.get(resourceId, null);
+    if (resource === null) {
+      throw new Error(`Resource ${resourceId} was never initialized.`);
+    }
+
+    return this.invalidateMatching([resource], predicate, options);
+  }
+
+  invalidateMatching(resources, predicate, {refetch = false} = {}) {
+    const events = _.flatMap(resources, (resource) => resource.invalidateWhere(predicate));
+    if (events.length) {
+      this.notify(events);
+    }
+    if (refetch) {
+      events.forEach(({resourceId, cacheKey}) => this.resourcePool.get(resourceId).revalidate(cacheKey));
+    }
+
+    return events.length;
+  }
+
+  // Applies the `updates` rules of a successful mutation to the cache entries they name, given the
+  // mutation's (Immutable) response. Every rule is worked out before anything is written, so a rule
+  // that throws leaves the cache untouched. Returns the change events of the entries that changed.
+  applyCacheUpdates(updates, response, customHookData) {
+    const writes = [];
+    _.forEach(updates, (rule) => {
+      const resource = this.resourcePool.get(rule.id, null);
+      if (resource === null) {
+        throw new Error(`Resource ${rule.id} was never initialized.`);
+      }
+
+      const cacheKey = resource.cacheKeyFor(rule);
+      let write = _.find(writes, (candidate) => candidate.resource === resource && candidate.cacheKey === cacheKey);
+      if (!write) {
+        write = {resource, cacheKey, previousStatus: resource.statusOf(cacheKey), entry: resource.cache.get(cacheKey, null)};
+        writes.push(write);
+      }
+      write.entry = resource.updatedEntry(write.entry, rule, response);
+    });
+
+    return writes
+      .filter(({resource, cacheKey, entry}) => entry !== resource.cache.get(cacheKey, null))
+      .map(({resource, cacheKey, previousStatus, entry}) => {
+        resource.writeEntry(cacheKey, entry);
+        return resource.changeEvent(cacheKey, {
+          operation: 'update',
+          previousStatus,
+          payload: entry === null ? undefined : resource.readEntry(entry),
+          customHookData
+        });
+      });
+  }
+
+  // Produces a JSON-safe snapshot of every resource cache, suitable for `initialCache`
+  // (through `rehydrateCache`) or `ExternalAPI.fromSnapshot()` on the client.
+  dehydrate() {
+    return this.resourcePool.reduce((snapshot, resource, id) => {
+      snapshot[id] = resource.dehydrate();
+      return snapshot;
+    }, {});
+  }
+
+  serialize() {
+    return JSON.stringify(this.dehydrate());
+  }
+
+  // Plain snapshot of every resource and its cache entries, for debugging. Safe to log or serialize.
+  inspect() {
+    return {
+      authenticated: this.isAuthenticated(),
+      queuedMutations: this.queuedMutations.size,
+      resources: this.resourcePool.valueSeq().map((resource) => resource.inspect()).toArray()
+    };
+  }
+
+  // The last entries of the event log (fetches, mutations, invalidations, evictions...), oldest first.
+  getEventLog() {
+    return this.eventLog.toArray();
+  }
+
+  // Queries objects for `queryResource`; payloads are passed through as they are. Queries that
+  // could not be made (`queryResource` logs them and returns null) turn into ERROR payloads.
+  toPayload(query) {
+    const payload = query instanceof Payload ? query : this.queryResource(query);
+    if (payload !== null) {
+      return payload;
+    }
+
+    const error = normalizeError(new Error(`Could not query resource ${query.id}`));
+    return new Payload({
+      status: DataStatus.ERROR,
+      data: null,
+      promise: Promise.reject(error),
+      error,
+      parentApi: this
+    });
+  }
+
+  // Runs queries side by side and returns a composite payload. An array of queries gives a List of
+  // their data, an object of queries a Map under the same keys.
+  all(queries) {
+    const keyed = !_.isArray(queries);
+    const mapParts = keyed ? _.mapValues : _.map;
+    const parts = mapParts(queries, (query) => this.toPayload(query));
+    const payloads = _.values(parts);
+    const combine = (values) => keyed ? new Map(values) : new List(values);
+    const promise = keyed ?
+      Promise.props(_.mapValues(parts, (payload) => payload.promise)) :
+      Promise.all(payloads.map((payload) => payload.promise));
+
+    return new Payload({
+      status: aggregateStatus(payloads),
+      data: combine(mapParts(parts, (payload) => payload.data)),
+      promise: promise.then(combine),
+      error: _.get(_.find(payloads, (payload) => !payload.isValid()), 'error'),
+      parentApi: this,
+      parts: combine(parts),
+      onCancel: () => payloads.forEach((payload) => payload.cancel())
+    });
+  }
+
+  // Runs `getNextQuery(data)` once `query` has server data and returns a composite payload with the
+  // data of the dependent query (or `null` while there is none). `getNextQuery` may return nothing
+  // when there is nothing to fetch.
+  dependent(query, getNextQuery) {
+    const first = this.toPayload(query);
+    const nextQuery = first.hasServerData() ? getNextQuery(first.data) : null;
+    const next = _.isNil(nextQuery) ? null : this.toPayload(nextQuery);
+    const payloads = next ? [first, next] : [first];
+
+    return new Payload({
+      status: aggregateStatus(payloads),
+      data: next ? next.data : null,
+      promise: next ?
+        Promise.all([first.promise, next.promise]).then(([, data]) => data) :
+        first.promise.then((data) => {
+          const resolvedQuery = getNextQuery(data);
+          return _.isNil(resolvedQuery) ? null : this.toPayload(resolvedQuery).promise;
+        }),
+      error: _.get(_.find(payloads, (payload) => !payload.isValid()), 'error'),
+      parentApi: this,
+      parts: new List(payloads),
+      onCancel: () => payloads.forEach((payload) => payload.cancel())
+    });
+  }
+
+  // Resolves once every in-flight GET has settled, including any started while waiting, with one
+  // outcome per query. Rejects if `timeout` ms pass first; the error then carries the outcomes so far.
+  whenIdle({timeout} = {}) {
+    const outcomes = {};
+    let seen = new Set();
+
+    const waitForPending = () => {
+      const pending = [];
+      this.resourcePool.forEach((resource, resourceId) => {
+        resource.pendingGets().forEach((pendingGet, cacheKey) => {
+          if (seen.has(pendingGet)) {
+            return;
+          }
+          seen = seen.add(pendingGet);
+
+          const outcomeKey = resourceId + cacheKey;
+          outcomes[outcomeKey] = {resourceId, cacheKey, status: 'pending'};
+          pending.push(pendingGet.reflect().then((inspection) => {
+            if (inspection.isCancelled()) {
+              outcomes[outcomeKey] = {resourceId, cacheKey, status: 'cancelled'};
+            } else {
+              outcomes[outcomeKey] = inspection.isFulfilled() ?
+                {resourceId, cacheKey, status: 'fulfilled', value: inspection.value()} :
+                {resourceId, cacheKey, status: 'rejected', error: inspection.reason()};
+            }
+          }));
+        });
+      });
+
+      return pending.length ? Promise.all(pending).then(waitForPending) : Promise.resolve();
+    };
+
+    return new Promise((resolve, reject) => {
+      const timer = _.isNil(timeout) ? null : setTimeout(() => {
+        const error = new Error(`Pending queries did not settle within ${timeout}ms`);
+        error.outcomes = _.values(outcomes);
+        reject(error);
+      }, timeout);
+
+      waitForPending().then(() => {
+        clearTimeout(timer);
+        resolve(_.values(outcomes));
+      });
+    });
+  }
+
+  isAuthenticated() {
+    return !_.isEmpty(this.authHeader);
+  }
+
+  setAuthHeader(authHeader) {
+    // Warns once per API, since servers set the header on every request.
+    if (isServer() && !this.isFork && !this.warnedSharedAuth) {
+      this.warnedSharedAuth = true;
+      console.warn( //eslint-disable-line no-console
+        'Setting an auth header on a shared API on the server may leak data between users. ' +
+        'Use fork() to create a request-scoped API instead.'
+      );
+    }
+    this.authHeader = authHeader;
+    this.resourcePool.map((resource) => {
+      resource.abort({mutations: false});
+      resource.invalidateCache();
+    });
+    this.notify([{operation: 'auth', resourceId: null, cacheKey: null}]);
+  }
+
+  unsetAuthHeader() {
+    this.authHeader = {};
+    this.resourcePool.map((resource) => {
+      resource.abort({mutations: false});
+      resource.invalidateCache();
+    });
+    this.notify([{operation: 'auth', resourceId: null, cacheKey: null}]);
+  }
+
+  // Aborts every pending request, GETs and mutations alike, across all resources.
+  abortAll() {
+    this.resourcePool.forEach((resource) => resource.abort());
+  }
+}
+
+
+// Each resource keeps track of the params keyed and has multiple resources within itself
+// and refetches if expired. Keep a fetch timestamp. Update authtoken!
+// endpointTemplate: e.g. /sets/:id
+class Resource {
+  constructor({
+    /* eslint-disable no-unused-vars */
+    endpointTemplate,
+    timeUntilStale,
+    model,
+    modelInterface,
+    parentApi,
+    authRequired = false,
+    id,
+    retryPolicy,
+    entitySchema,
+    pagination,
+    batch,
+    validation,
+    parsers,
+    persist,
+    eviction,
+    refreshInterval,
+    refetchOnFocus,
+    refetchOnReconnect,
+    respectCacheControl,
+    tags,
+    initialCache
+    /* eslint-ensable no-unused-vars */
+  }) {
+    this.id = id;
+    this.retryPolicy = retryPolicy;
+    this.entitySchema = entitySchema;
+    this.pagination = pagination;
+    this.batch = batch;
+    this.pendingBatches = {};
+    this.validation = validation;
+    this.parsers = parsers;
+    this.persist = persist;
+    this.eviction = eviction;
+    this.usage = new Map();
+    this.retainCounts = new Map();
+    this.refreshInterval = refreshInterval;
+    this.refetchOnFocus = refetchOnFocus;
+    this.refetchOnReconnect = refetchOnReconnect;
+    this.respectCacheControl = respectCacheControl;
+    this.tags = tags;
+    this.watchers = {};
+    this.endpointTemplate = endpointTemplate;
+    this.timeUntilStale = timeUntilStale;
+    this.model = model;
+    this.parentApi = parentApi;
+    this.authRequired = authRequired;
+    this.modelInterface = modelInterface;
+    this.pendingMutations = new Set();
+    this.clearoutTimers = {};
+    this.cache = initialCache.map((entry) => {
+      return entry.get('success') ? this.normalizeEntry(entry) : entry;
+    });
+  }
+
+  // With an entity schema, responses made of entities (a single one or a list of them) are split
+  // into the API's entity table and the entry keeps references to them as `entityRefs`.
+  normalizeEntry(entry) {
+    const data = entry.get('data');
+    if (!this.entitySchema) {
+      return entry;
+    }
+
+    const {type, idAttribute} = this.entitySchema;
+    const isEntity = (item) => Map.isMap(item) && item.has(idAttribute);
+    if (isEntity(data)) {
+      this.parentApi.mergeEntities(type, idAttribute, [data]);
+      return entry.set('entityRefs', data.get(idAttribute));
+    } else if (List.isList(data) && data.every(isEntity)) {
+      this.parentApi.mergeEntities(type, idAttribute, data);
+      return entry.set('entityRefs', data.map((item) => item.get(idAttribute)));
+    }
+
+    return entry.delete('entityRefs');
+  }
+
+  // Cache keys of the entries referencing any of the `changed` entities (a Map of type to ids).
+  cacheKeysReferencing(changed) {
+    const ids = this.entitySchema ? changed.get(this.entitySchema.type, null) : null;
+    if (ids === null) {
+      return new List();
+    }
+
+    return this.cache
+      .filter((entry) => {
+        const refs = entry.get('entityRefs');
+        return List.isList(refs) ? refs.some((id) => ids.has(id)) : ids.has(refs);
+      })
+      .keySeq()
+      .toList();
+  }
+
+  // Entries already in the cache are newer than anything restored, so they are kept.
+  restoreEntries(entries) {
+    entries.forEach((entry, cacheKey) => {
+      if (!this.cache.has(cacheKey)) {
+        this.cache = this.cache.set(cacheKey, this.normalizeEntry(entry));
+      }
+    });
+  }
+
+  // Rebuilds an entry's data from the entity table, so it reflects updates made through any resource.
+  readEntry(entry) {
+    if (!entry.has('entityRefs')) {
+      return entry.get('data');
+    }
+
+    const type = this.entitySchema.type;
+    const refs = entry.get('entityRefs');
+    return List.isList(refs) ?
+      refs.map((id) => this.parentApi.getEntity(type, id)).filter((item) => !_.isUndefined(item)) :
+      this.parentApi.getEntity(type, refs) || entry.get('data');
+  }
+
+  invalidateCache() {
+    this.cache = this.cache.map((value, cacheKey) => {
+      return value.has('timestamp') ? value.set('timestamp', 0) : value;
+    });
+  }
+
+  invalidateCacheKey(key) {
+    if (this.cache.has(key)) {
+      this.cache = this.cache.setIn([key, 'timestamp'], 0);
+    }
+  }
+
+  // Marks stale the cached queries `predicate({cacheKey, params, query, tags, data})` picks, and
+  // returns their change events. Queries with a GET in flight are already being refreshed.
+  invalidateWhere(predicate) {
+    return this.cache
+      .filter((entry, cacheKey) => entry.get('success') && !entry.has('pendingGet') && predicate({
+        cacheKey,
+        params: entry.get('params', new Map()).toJS(),
+        query: entry.get('query', new Map()).toJS(),
+        tags: entry.get('tags', new List()).toArray(),
+        data: this.readEntry(entry)
+      }))
+      .keySeq()
+      .map((cacheKey) => {
+        const previousStatus = this.statusOf(cacheKey);
+        this.invalidateCacheKey(cacheKey);
+        return this.changeEvent(cacheKey, {operation: 'invalidate', previousStatus});
+      })
+      .toArray();
+  }
+
+  // Pending requests are dropped (keeping any previous data as stale) along with failed entries.
+  dehydrate() {
+    return this.cache.reduce((snapshot, entry, cacheKey) => {
+      const data = this.readEntry(entry);
+      if (entry.get('success') === false || _.isNil(data)) {
+        return snapshot;
+      }
+
+      snapshot[cacheKey] = Object.assign({
+        data: _.isFunction(data.toJS) ? data.toJS() : data,
+        timestamp: entry.has('pendingGet') ? 0 : Number(entry.get('timestamp'))
+      }, entry.filter((value, field) => _.includes(SNAPSHOT_FIELDS, field)).toJS());
+      if (entry.get('hasMore')) {
+        snapshot[cacheKey].nextPage = entry.get('nextPage');
+      }
+      return snapshot;
+    }, {});
+  }
+
+  dispose() {
+    _.forEach(this.watchers, (watcher) => clearInterval(watcher.timer));
+    this.watchers = {};
+    this.abort();
+    this.cache = new Map();
+    this.usage = new Map();
+  }
+
+  // Registers one more consumer of the pending GET for `cacheKey` and returns the function that
+  // releases it. The request is aborted once every consumer has let go.
+  addPendingConsumer(cacheKey) {
+    const pendingGet = this.cache.getIn([cacheKey, 'pendingGet']);
+    this.cache = this.cache.updateIn([cacheKey, 'consumers'], 0, (count) => count + 1);
+
+    return () => {
+      if (this.cache.getIn([cacheKey, 'pendingGet']) !== pendingGet) {
+        return;
+      }
+
+      const consumers = this.cache.getIn([cacheKey, 'consumers']) - 1;
+      if (consumers > 0) {
+        this.cache = this.cache.setIn([cacheKey, 'consumers'], consumers);
+      } else {
+        this.abortPendingGet(cacheKey);
+      }
+    };
+  }
+
+  // Cancels the pending GET, which aborts its HTTP request, and puts back any data it would have
+  // replaced as stale.
+  abortPendingGet(cacheKey) {
+    const entry = this.cache.get(cacheKey);
+    const data = entry.get('data');
+
+    entry.get('pendingGet').cancel();
+    if (_.isNil(data)) {
+      this.dropEntry(cacheKey);
+      return;
+    }
+
+    clearTimeout(this.clearoutTimers[cacheKey]);
+    delete this.clearoutTimers[cacheKey];
+    this.cache = this.cache.set(cacheKey, entry
+      .filterNot((value, field) => _.includes(['pendingGet', 'consumers', 'attempt', 'nextRetryAt'], field))
+      .merge({timestamp: 0, success: true}));
+  }
+
+  abort({mutations = true} = {}) {
+    this.pendingGets().forEach((pendingGet, cacheKey) => this.abortPendingGet(cacheKey));
+    this.cache = this.cache.map((entry) => {
+      if (!entry.has('pendingPage')) {
+        return entry;
+      }
+      entry.get('pendingPage').cancel();
+      return entry.delete('pendingPage');
+    });
+    if (mutations) {
+      this.pendingMutations.forEach((pendingMutation) => pendingMutation.cancel());
+      this.pendingMutations = new Set();
+    }
+    _.forEach(this.clearoutTimers, (timer) => clearTimeout(timer));
+    this.clearoutTimers = {};
+  }
+
+  cacheKeyFor({
+    query,
+    params,
+    header = {}
+  }) {
+    return keyBuilder({
+      query, params, header
+    });
+  }
+
+  // Entries without server data are left alone, as there is nothing to patch yet.
+  applyOptimisticUpdate(queryArgs, update) {
+    const cacheKey = this.cacheKeyFor(queryArgs);
+    const entry = this.cache.get(cacheKey, null);
+    const previousData = entry === null || entry.get('success') === false ? null : this.readEntry(entry);
+    if (_.isNil(previousData)) {
+      return _.noop;
+    }
+
+    const optimisticData = fromJS(update(previousData));
+    this.writeData(cacheKey, optimisticData);
+
+    return () => {
+      if (this.cache.has(cacheKey) && is(this.readEntry(this.cache.get(cacheKey)), optimisticData)) {
+        this.writeData(cacheKey, previousData);
+      }
+    };
+  }
+
+  // The entry `rule` (see `CACHE_UPDATE_ACTIONS`) leaves behind, given the current one (or `null`).
+  // Only `'set'` writes entries that hold no data yet.
+  updatedEntry(entry, rule, response) {
+    const {action, matches} = rule;
+    if (action === 'set') {
+      return (entry || this.queryFields(rule, response)).filterNot((value, field) => _.includes(CACHE_HEADER_FIELDS, field)).merge({
+        data: response,
+        timestamp: new Date(),
+        success: true
+      }).delete('expired');
+    } else if (action === 'remove' && !matches) {
+      return null;
+    }
+
+    const data = entry === null || entry.get('success') === false ? null : this.readEntry(entry);
+    if (_.isNil(data)) {
+      return entry;
+    } else if (_.isFunction(action)) {
+      return entry.set('data', fromJS(action(data, response)));
+    } else if (!List.isList(data)) {
+      return entry;
+    }
+
+    const updated = {
+      append: () => data.push(response),
+      prepend: () => data.unshift(response),
+      remove: () => data.filterNot((item) => matches(item, response))
+    }[action]();
+    return is(updated, data) ? entry : entry.set('data', updated);
+  }
+
+  // Replaces (or, with `null`, removes) an entry after a cache update. The GET of a removed entry
+  // is aborted first, so it cannot write the entry back.
+  writeEntry(cacheKey, entry) {
+    if (entry === null) {
+      const pendingGet = this.cache.getIn([cacheKey, 'pendingGet']);
+      if (pendingGet) {
+        pendingGet.cancel();
+      }
+      this.dropEntry(cacheKey);
+    } else {
+      this.cache = this.cache.set(cacheKey, this.normalizeEntry(entry));
+      this.afterWrite(cacheKey);
+    }
+    if (this.persist) {
+      this.parentApi.persistCache();
+    }
+  }
+
+  writeData(cacheKey, data) {
+    this.cache = this.cache.update(cacheKey, new Map(), (entry) => this.normalizeEntry(entry.set('data', data)));
+  }
+
+  // Status a GET for `cacheKey` would report right now.
+  statusOf(cacheKey) {
+    const entry = this.cache.get(cacheKey, null);
+    if (entry === null) {
+      return DataStatus.EMPTY;
+    } else if (entry.has('pendingGet')) {
+      return _.isNil(entry.get('data')) ? DataStatus.EMPTY : DataStatus.STALE;
+    } else if (entry.get('success') === false) {
+      return DataStatus.ERROR;
+    }
+
+    return new Date() - entry.get('timestamp') < this.ttlOf(entry) ? DataStatus.FRESH : DataStatus.STALE;
+  }
+
+  // How long an entry stays fresh: the max-age its response allowed, when the resource respects
+  // Cache-Control, and `timeUntilStale` otherwise. Expired entries are stale from the start.
+  ttlOf(entry) {
+    if (entry.get('expired')) {
+      return 0;
+    }
+
+    return this.respectCacheControl && entry.has('maxAge') ? entry.get('maxAge') : this.timeUntilStale;
+  }
+
+  changeEvent(cacheKey, {
+    operation,
+    previousStatus,
+    status = this.statusOf(cacheKey),
+    error,
+    payload,
+    duration,
+    customHookData
+  }) {
+    return {
+      operation,
+      resourceId: this.id,
+      cacheKey,
+      previousStatus,
+      status,
+      error,
+      payload,
+      duration,
+      customHookData
+    };
+  }
+
+  inspect() {
+    const now = Date.now();
+
+    return {
+      id: this.id,
+      endpoint: this.endpointTemplate,
+      timeUntilStale: this.timeUntilStale,
+      pendingMutations: this.pendingMutations.size,
+      entries: this.cache.map((entry, cacheKey) => {
+        const age = entry.has('timestamp') ? now - entry.get('timestamp') : null;
+        return {
+          cacheKey,
+          status: statusName(this.statusOf(cacheKey)),
+          age,
+          ttlLeft: age === null ? null : Math.max(0, this.ttlOf(entry) - age),
+          pending: entry.has('pendingGet'),
+          loadingMore: entry.has('pendingPage'),
+          attempt: entry.get('attempt', null),
+          nextRetryAt: entry.get('nextRetryAt', null),
+          retained: this.retainCounts.get(cacheKey, 0),
+          subscribers: _.get(this.watchers[cacheKey], 'subscribers', 0),
+          error: entry.get('success') === false ? _.get(entry.get('data'), 'errorMessage', null) : null
+        };
+      }).valueSeq().toArray()
+    };
+  }
+
+  recordAccess(cacheKey) {
+    this.parentApi.accessClock += 1;
+    this.usage = this.usage.update(cacheKey, new Map({hits: 0}), (usage) => usage.merge({
+      hits: usage.get('hits') + 1,
+      lastAccess: this.parentApi.accessClock
+    }));
+  }
+
+  retain(cacheKey) {
+    let released = false;
+    this.retainCounts = this.retainCounts.update(cacheKey, 0, (count) => count + 1);
+
+    return () => {
+      if (!released) {
+        released = true;
+        const count = this.retainCounts.get(cacheKey) - 1;
+        this.retainCounts = count > 0 ?
+          this.retainCounts.set(cacheKey, count) :
+          this.retainCounts.delete(cacheKey);
+      }
+    };
+  }
+
+  // Watched queries have subscribers. They are polled every `refreshInterval` ms for as long as they
+  // do. Returns the function that stops watching.
+  watch(queryArgs) {
+    const cacheKey = this.cacheKeyFor(queryArgs);
+    const watcher = this.watchers[cacheKey] || {queryArgs, subscribers: 0, timer: null};
+    watcher.subscribers += 1;
+    if (this.refreshInterval && watcher.timer === null) {
+      watcher.timer = setInterval(() => this.revalidate(cacheKey), this.refreshInterval);
+    }
+    this.watchers[cacheKey] = watcher;
+
+    let stopped = false;
+    return () => {
+      if (stopped || this.watchers[cacheKey] !== watcher) {
+        return;
+      }
+
+      stopped = true;
+      watcher.subscribers -= 1;
+      if (watcher.subscribers === 0) {
+        clearInterval(watcher.timer);
+        delete this.watchers[cacheKey];
+      }
+    };
+  }
+
+  // Refetches a watched query in the background, unless a GET for it is already in flight. The
+  // refetch is not counted as an access of the query and is no consumer of its request, so it
+  // neither skews eviction nor keeps the request alive once its payloads are cancelled. Failures
+  // are left for the query's own payloads to report.
+  revalidate(cacheKey) {
+    const watcher = this.watchers[cacheKey];
+    if (!watcher || this.parentApi.disposed || this.cache.hasIn([cacheKey, 'pendingGet'])) {
+      return;
+    }
+
+    const {params, query, header} = watcher.queryArgs;
+    if (isInvalidRequest(params) || (this.authRequired && !this.parentApi.isAuthenticated())) {
+      return;
+    }
+
+    this.makeFetch({
+      path: this.pathFor(params),
+      params,
+      query: this.firstPageQuery(query),
+      header: this.fullHeader(header),
+      cacheKey
+    }).catch(_.noop);
+  }
+
+  revalidateWatched() {
+    _.keys(this.watchers).forEach((cacheKey) => this.revalidate(cacheKey));
+  }
+
+  // Retained entries and entries with requests in flight are never evicted.
+  isEvictable(cacheKey) {
+    const entry = this.cache.get(cacheKey, null);
+    return entry !== null &&
+      !entry.has('pendingGet') &&
+      !entry.has('pendingPage') &&
+      !this.retainCounts.has(cacheKey);
+  }
+
+  // Sizes are approximated by the length of the entry's JSON and remembered until it is rewritten.
+  entrySize(cacheKey) {
+    if (!this.usage.hasIn([cacheKey, 'size'])) {
+      const data = this.cache.getIn([cacheKey, 'data']);
+      const size = _.isNil(data) ? 0 : JSON.stringify(data).length;
+      this.usage = this.usage.update(cacheKey, new Map({hits: 0, lastAccess: 0}), (usage) => usage.set('size', size));
+    }
+
+    return this.usage.getIn([cacheKey, 'size']);
+  }
+
+  // Counts every entry, evictable or not.
+  totalBytes() {
+    return this.cache.keySeq().reduce((total, cacheKey) => total + this.entrySize(cacheKey), 0);
+  }
+
+  evictionCandidates() {
+    return this.cache.keySeq()
+      .filter((cacheKey) => this.isEvictable(cacheKey))
+      .map((cacheKey) => {
+        const size = this.entrySize(cacheKey);
+        const usage = this.usage.get(cacheKey);
+        return {
+          resource: this,
+          cacheKey,
+          hits: usage.get('hits', 0),
+          lastAccess: usage.get('lastAccess', 0),
+          size
+        };
+      })
+      .toArray();
+  }
+
+  evict(cacheKey, reason) {
+    this.dropEntry(cacheKey);
+    this.parentApi.eventLog.record({type: 'evict', resourceId: this.id, cacheKey, reason});
+    this.parentApi.emit('evict', {resourceId: this.id, cacheKey, reason});
+  }
+
+  dropEntry(cacheKey) {
+    clearTimeout(this.clearoutTimers[cacheKey]);
+    delete this.clearoutTimers[cacheKey];
+    this.cache = this.cache.delete(cacheKey);
+    this.usage = this.usage.delete(cacheKey);
+  }
+
+  // Called whenever entries are written, so limits are enforced as the cache grows.
+  afterWrite(cacheKey) {
+    this.usage = this.usage.deleteIn([cacheKey, 'size']);
+    if (this.eviction || this.parentApi.eviction) {
+      this.parentApi.enforceEviction();
+    }
+  }
+
+  pendingGets() {
+    return this.cache
+      .filter((entry) => entry.has('pendingGet'))
+      .map((entry) => entry.get('pendingGet'));
+  }
+
+  // Payloads of paginated queries also carry the state of the next page and a way to fetch it.
+  createPayload(cacheKey, apiParams, options) {
+    if (!this.pagination) {
+      return new Payload(options);
+    }
+
+    const entry = this.cache.get(cacheKey, new Map());
+    return new Payload(Object.assign({
+      hasMore: entry.get('hasMore', false),
+      isLoadingMore: entry.has('pendingPage'),
+      pageError: entry.get('pageError', null),
+      fetchMore: () => this.fetchNextPage(cacheKey, apiParams)
+    }, options));
+  }
+
+  get({
+    id,
+    params,
+    query,
+    header,
+    payload,
+    multipart,
+    forceRefresh,
+    auth = false,
+    method = 'get',
+    optimistic,
+    updates,
+    tags,
+    customHookData
+  }) {
+    if (!HTTP_METHOD.test(method)) {
+      throw new Error(`Method must be a valid HTTP method, got '${method}'`);
+    }
+
+    if (!auth && this.authRequired) {
+      console.error(`Authentication required at endpoint ${this.endpointTemplate} for resource ${id}`); //eslint-disable-line no-console
+      return new Payload({
+        status: DataStatus.ERROR,
+        promise: Promise.resolve(this.model),
+        data: this.model,
+        customHookData,
+        modelInterface: this.modelInterface
+      });
+    }
+
+    const now = new Date();
+    const cacheKey = this.cacheKeyFor({query, params, header});
+
+    if (isInvalidRequest(params)) {
+      console.warn( //eslint-disable-line no-console
+        `The specified parameters ${params} were not fully specified for resource ${id}.
+        No request will be made and you will receive an empty model.`
+      );
+
+      return new Payload({
+        status: DataStatus.ERROR,
+        promise: Promise.resolve(this.model),
+        data: this.model,
+        customHookData,
+        modelInterface: this.modelInterface
+      });
+    }
+
+    const apiParams = {
+      path: this.pathFor(params),
+      params,
+      query: method === 'get' ? this.firstPageQuery(query) : query,
+      header: this.fullHeader(header),
+      cacheKey: cacheKey,
+      payload: payload,
+      multipart,
+      optimistic,
+      updates,
+      tags,
+      customHookData
+    };
+
+    if (method === 'get') {
+      this.recordAccess(cacheKey);
+      if (this.cache.has(cacheKey)) {
+        const data = this.cache.get(cacheKey);
+
+        // GET is already pending
+        if (data.has('pendingGet') && data.get('success', true)) {
+          this.parentApi.recordCacheDecision(this.id, cacheKey, CacheDecision.DEDUPED);
+          const status = data.get('data') ? DataStatus.STALE : DataStatus.EMPTY;
+          const payload = status === DataStatus.EMPTY ? this.model : this.readEntry(data);
+          return this.createPayload(cacheKey, apiParams, {
+            status: status,
+            promise: data.get('pendingGet'),
+            data: payload,
+            customHookData,
+            modelInterface: this.modelInterface,
+            attempt: data.get('attempt', 1),
+            nextRetryAt: data.get('nextRetryAt', null),
+            onCancel: this.addPendingConsumer(cacheKey)
+          });
+        // Last GET for this resource failed and the cache is not yet expired
         } else if (!data.get('success')) {
-          const promise = (now - data.get('timestamp') < this.timeUntilStale ?
+          const isExpired = now - data.get('timestamp') >= this.timeUntilStale;
+          this.parentApi.recordCacheDecision(this.id, cacheKey, isExpired ? CacheDecision.MISS : CacheDecision.HIT_ERROR);
+          const promise = (!isExpired ?
             new Promise((resolve, reject) => {
               reject(data.get('data'));
             }) :
-            this.makeFetch(apiParams);
+            this.makeFetch(apiParams));
 
-          return new Payload({
+          return this.createPayload(cacheKey, apiParams, {
             status: DataStatus.ERROR,
             promise: promise,
             data: this.model,
             error: data.get('data'),
             customHookData,
-            modelInterface: this.modelInterface
+            modelInterface: this.modelInterface,
+            attempt: data.get('attempt', 1),
+            onCancel: isExpired ? this.addPendingConsumer(cacheKey) : _.noop
           });
         // Last GET is fresh
-        } else if ((now - data.get('timestamp')) < this.timeUntilStale && !forceRefresh) {
-          return new Payload({
+        } else if ((now - data.get('timestamp')) < this.ttlOf(data) && !forceRefresh) {
+          this.parentApi.recordCacheDecision(this.id, cacheKey, CacheDecision.HIT_FRESH);
+          return this.createPayload(cacheKey, apiParams, {
             status: DataStatus.FRESH,
             promise: new Promise((resolve) => {
-              resolve(data.get('data'));
+              resolve(this.readEntry(data));
             }),
-            data: data.get('data'),
+            data: this.readEntry(data),
             customHookData,
             modelInterface: this.modelInterface
           });
         // GET is STALE
         } else {
-          return new Payload({
+          this.parentApi.recordCacheDecision(this.id, cacheKey, CacheDecision.HIT_STALE);
+          return this.createPayload(cacheKey, apiParams, {
             status: DataStatus.STALE,
             promise: this.makeFetch(apiParams),
-            data: data.get('data'),
+            data: this.readEntry(data),
             customHookData,
-            modelInterface: this.modelInterface
+            modelInterface: this.modelInterface,
+            attempt: 1,
+            onCancel: this.addPendingConsumer(cacheKey)
           });
         }
       } else {
-        return new Payload({
+        this.parentApi.recordCacheDecision(this.id, cacheKey, CacheDecision.MISS);
+        return this.createPayload(cacheKey, apiParams, {
           status: DataStatus.EMPTY,
           promise: this.makeFetch(apiParams),
           data: this.model,
           customHookData,
-          modelInterface: this.modelInterface
+          modelInterface: this.modelInterface,
+          attempt: 1,
+          onCancel: this.addPendingConsumer(cacheKey)
         });
       }
-    } else if (method === 'put') {
-      return new Payload({
-        status: DataStatus.PENDING_PUT,
-        promise: this.makePut(apiParams),
-        data: null,
-        parentApi: this.parentApi,
-        customHookData
-      });
-    } else if (method === 'post') {
-      return new Payload({
-        status: DataStatus.PENDING_POST,
-        promise: this.makePost(apiParams),
-        data: null,
-        parentApi: this.parentApi,
-        customHookData
+    }
+
+    // Every other method is sent as is and never cached.
+    let uploadProgress = null;
+    const promise = this.makeMutation(method, Object.assign({}, apiParams, {
+      onUploadProgress: ({loaded, total}) => {
+        uploadProgress = {
+          loaded,
+          total: total || null,
+          percent: total ? Math.round(loaded / total * 100) : null
+        };
+        this.parentApi.emit('uploadProgress', Object.assign({resourceId: this.id, cacheKey, customHookData}, uploadProgress));
+      }
+    }));
+    return new Payload({
+      status: DataStatus[`PENDING_${method.toUpperCase()}`] || DataStatus.PENDING_REQUEST,
+      promise: promise,
+      data: null,
+      parentApi: this.parentApi,
+      customHookData,
+      getUploadProgress: () => uploadProgress,
+      onCancel: () => promise.cancel()
+    });
+  }
+
+  // The endpoint with the params of a query filled in.
+  pathFor(params) {
+    return _.reduce(params, (path, value, name) => path.replace(`:${name}`, value), this.endpointTemplate);
+  }
+
+  // GETs of paginated queries start from their first page.
+  firstPageQuery(query) {
+    return this.pagination ?
+      Object.assign({}, query, {[this.pagination.pageParam]: this.pagination.initialPage}) :
+      query;
+  }
+
+  fullHeader(header) {
+    return Object.assign({}, this.parentApi.authHeader, header);
+  }
+
+  // Sends a request through the API's middleware and transport. Resolves with a successful response
+  // (`{status, headers, body}`, its body parsed) and rejects with a normalized error otherwise.
+  sendRequest({
+    method,
+    path = '',
+    query,
+    header,
+    payload,
+    multipart,
+    onUploadProgress
+  }) {
+    return this.parentApi.dispatch(_.omitBy({
+      method,
+      url: this.parentApi.location.concat(path),
+      path,
+      query,
+      headers: header,
+      body: payload,
+      multipart: multipart || undefined,
+      responseType: usesBinary(this.parsers) ? 'binary' : undefined,
+      onUploadProgress,
+      timeout: this.parentApi.timeout
+    }, _.isUndefined), {resourceId: this.id}).then((response) => {
+      const status = response.status;
+      if (!isStatusSuccess(status)) {
+        // Binary error bodies are decoded so their message can be read.
+        return toText(response.body).then((body) => {
+          throw normalizeError(toResponseError(Object.assign({}, response, {body})), status);
+        });
+      }
+
+      return response;
+    }, (err) => {
+      throw normalizeError(err, _.get(err, 'status'));
+    });
+  }
+
+  // Retries failed GETs according to the resource's retry policy, recording the attempt count and
+  // when the next attempt is due on the pending cache entries.
+  sendWithRetry(request, cacheKeys, customHookData) {
+    const policy = this.retryPolicy;
+    const attempt = (attemptCount) => this.sendRequest(request).catch((normalizedError) => {
+      if (!policy || !isRetryable(policy, normalizedError, attemptCount)) {
+        throw normalizedError;
+      }
+
+      const delay = getRetryDelay(policy, attemptCount);
+      const nextRetryAt = Date.now() + delay;
+      const pendingKeys = cacheKeys.filter((cacheKey) => this.cache.has(cacheKey));
+      pendingKeys.forEach((cacheKey) => {
+        this.cache = this.cache.mergeIn([cacheKey], {attempt: attemptCount + 1, nextRetryAt});
       });
-    } else if (method === 'delete') {
-      return new Payload({
-        status: DataStatus.PENDING_DELETE,
-        promise: this.makeDelete(apiParams),
-        data: null,
-        parentApi: this.parentApi,
+      this.parentApi.notify(cacheKeys.map((cacheKey) => this.changeEvent(cacheKey, {
+        operation: 'retry',
+        previousStatus: DataStatus.ERROR,
+        error: normalizedError,
         customHookData
+      })), {retry: {attempt: attemptCount + 1, nextRetryAt, error: normalizedError}, customHookData});
+
+      return Promise.delay(delay).then(() => {
+        cacheKeys.filter((cacheKey) => this.cache.has(cacheKey)).forEach((cacheKey) => {
+          this.cache = this.cache.deleteIn([cacheKey, 'nextRetryAt']);
+        });
+        return attempt(attemptCount + 1);
       });
-    }
+    });
+
+    return attempt(1);
   }
 
   makeFetch({
     path = '',
+    params,
     query,
     cacheKey,
     header,
+    tags,
     customHookData
   }) {
-    const fullPath = this.parentApi.location
-      .concat(path);
-    const pendingGet = new Promise((resolve, reject) => {
-      request
-        .get(fullPath)
-        .query(query)
-        .timeout(this.parentApi.timeout)
-        .set(header)
-        .end((err, res) => {
-          const timestamp = new Date();
-          const status = res.status;
-          let payload = null;
-
-          if (!err) {
-            if (res.hasOwnProperty('text')) {
-              try {
-                payload = JSON.parse(res.text);
-              } catch (error) {
-                const normalizedError = normalizeError(error, status);
-                if (isBrowser()) {
-                  const data = new Map({
-                    data: error,
-                    timestamp: timestamp,
-                    success: false
-                  });
-                  this.cache = this.cache.set(cacheKey, data);
-                }
-                this.parentApi.emit('change', {error: normalizedError, customHookData});
-                return reject(normalizedError);
-              }
-            }
-          }
-
-          if (err || !isStatusSuccess(status)) {
-            const normalizedError = normalizeError(err, status);
-            this.cache = this.cache.remove(cacheKey);
-            if (isBrowser()) {
-              const data = new Map({
-                data: normalizedError,
-                timestamp: timestamp,
-                success: false
-              });
-              this.cache = this.cache.set(cacheKey, data);
-            }
-
-            this.parentApi.emit('change', {error: normalizedError, customHookData});
-            return reject(normalizedError);
-          } else {
-            const immutablePayload = fromJS(payload);
-            const data = new Map({
-              data: immutablePayload,
-              timestamp: timestamp,
-              success: true
-            });
-
-            this.cache = this.cache.set(cacheKey, data);
-            this.parentApi.emit('change', {payload: immutablePayload, customHookData});
-            return resolve(immutablePayload);
-          }
+    const previousStatus = this.statusOf(cacheKey);
+    const startedAt = Date.now();
+    const currentEntry = this.cache.get(cacheKey, null);
+    const revalidatedEntry = this.revalidatedEntry(currentEntry);
+    const request = {
+      method: 'get',
+      path,
+      query,
+      header: revalidatedEntry ? Object.assign({}, header, conditionalHeaders(revalidatedEntry)) : header
+    };
+    const sentRequest = this.batch ?
+      this.sendBatched(request, {params, query, cacheKey}) :
+      this.sendWithRetry(request, [cacheKey], customHookData);
+    const pendingGet = sentRequest.then((response) => {
+      return response.status === 304 && revalidatedEntry ? response : this.validateResponse(response);
+    }).then((response) => {
+      // Not modified: the cached data is still current, with whatever the cache headers now say.
+      const fields = response.status === 304 && revalidatedEntry ?
+        revalidatedEntry.merge({data: this.cache.getIn([cacheKey, 'data'], this.readEntry(revalidatedEntry))}) :
+        this.entryFields(response);
+      const queryArgs = {
+        params,
+        query: this.pagination ? _.omit(query, this.pagination.pageParam) : query,
+        tags
+      };
+      const data = fields.merge(this.queryFields(queryArgs, fields.get('data'), currentEntry), Object.assign({
+        timestamp: new Date(),
+        success: true
+      }, this.cacheHeadersOf(response))).delete('expired');
+
+      this.cache = this.cache.set(cacheKey, this.normalizeEntry(data));
+      if (this.persist) {
+        this.parentApi.persistCache();
+      }
+      this.afterWrite(cacheKey);
+      const immutablePayload = data.get('data');
+      this.parentApi.notify([this.changeEvent(cacheKey, {
+        operation: 'fetch',
+        previousStatus,
+        status: DataStatus.FRESH,
+        payload: immutablePayload,
+        duration: Date.now() - startedAt,
+        customHookData
+      })], {payload: immutablePayload, customHookData});
+      return immutablePayload;
+    }, (normalizedError) => {
+      const attempt = this.cache.getIn([cacheKey, 'attempt'], 1);
+      this.cache = this.cache.remove(cacheKey);
+      if (isBrowser()) {
+        const data = new Map({
+          data: normalizedError,
+          timestamp: new Date(),
+          success: false,
+          attempt
         });
+        this.cache = this.cache.set(cacheKey, data);
+      }
+      // Failed entries are only kept in browsers, and their size is measured again.
+      this.usage = this.cache.has(cacheKey) ? this.usage.deleteIn([cacheKey, 'size']) : this.usage.delete(cacheKey);
+
+      this.parentApi.notify([this.changeEvent(cacheKey, {
+        operation: 'fetch',
+        previousStatus,
+        status: DataStatus.ERROR,
+        error: normalizedError,
+        duration: Date.now() - startedAt,
+        customHookData
+      })], {error: normalizedError, customHookData});
+      throw normalizedError;
     });
 
-    const currentValue = this.cache.has(cacheKey) ?
-      this.cache.get(cacheKey).get('data')
+    const currentValue = currentEntry !== null && currentEntry.get('success') !== false ?
+      this.readEntry(currentEntry)
       : null;
-    this.cache = this.cache.set(cacheKey, new Map({
+    // The pending entry keeps the query, tags and cache headers of the one it replaces.
+    const keptFields = currentEntry === null ?
+      new Map() :
+      currentEntry.filter((value, field) => _.includes(SNAPSHOT_FIELDS, field));
+    this.cache = this.cache.set(cacheKey, keptFields.merge({
       pendingGet: pendingGet,
       data: currentValue
     }));
 
     if (this.parentApi.cacheClearoutInterval) {
-      setTimeout(() => {
-        this.cache = this.cache.delete(cacheKey);
+      clearTimeout(this.clearoutTimers[cacheKey]);
+      this.clearoutTimers[cacheKey] = setTimeout(() => {
+        delete this.clearoutTimers[cacheKey];
+        if (this.isEvictable(cacheKey)) {
+          this.evict(cacheKey, 'clearout');
+        }
       }, this.parentApi.cacheClearoutInterval);
     }
 
     return pendingGet;
   }
 
-  makePut({
-    path = '',
-    payload,
-    query,
-    header,
-    customHookData
-  }) {
-    const fullPath = this.parentApi.location
-      .concat(path);
-
-    const pendingPut = new Promise((resolve, reject) => {
-      request
-        .put(fullPath)
-        .query(query)
-        .send(payload)
-        .timeout(this.parentApi.timeout)
-        .set(header)
-        .end((err, res) => {
-          const status = res.status;
-          let payload = null;
-          if (!err) {
-            if (res.hasOwnProperty('text')) {
-              try {
-                payload = JSON.parse(res.text);
-              } catch (error) {
-                const normalizedError = normalizeError(error, status);
-                this.parentApi.emit('change', {error: normalizedError, customHookData});
-                return reject(normalizedError);
-              }
-            }
-          }
+  // Entries can be revalidated with a conditional GET when they hold data and a validator. Batched
+  // requests are never conditional, as they cover several entries.
+  revalidatedEntry(entry) {
+    if (this.batch || entry === null || entry.has('pendingGet') || entry.get('success') === false) {
+      return null;
+    }
 
-          if (err || !isStatusSuccess(status)) {
-            const normalizedError = normalizeError(err, status);
-            this.parentApi.emit('change', {error: normalizedError, customHookData});
-            return reject(normalizedError);
-          } else {
-            const immutablePayload = fromJS(payload);
-            this.parentApi.emit('change', {payload: immutablePayload, customHookData});
-            return resolve(immutablePayload);
-          }
-        });
+    return entry.has('etag') || entry.has('lastModified') ? entry : null;
+  }
+
+  // The query an entry answers and its tags: those given with the query, plus the resource's (a
+  // list, or a function of `{params, query, data}`).
+  // Tags given with a query are kept as `queryTags` until the entry goes away, whichever GET
+  // refreshes it next. Tag functions are skipped for queries without data.
+  queryFields({params, query, tags}, data, entry = null) {
+    const queryTags = _.union(entry === null ? [] : entry.get('queryTags', new List()).toArray(), tags || []);
+
+    return new Map({
+      params: fromJS(params || {}),
+      query: fromJS(query || {}),
+      queryTags: new List(queryTags),
+      tags: new List(_.uniq(_.compact(this.resourceTags({params, query, data}).concat(queryTags))))
     });
+  }
+
+  // A tag function that throws leaves the query with only its own tags.
+  resourceTags({params, query, data}) {
+    if (!_.isFunction(this.tags)) {
+      return [].concat(this.tags || []);
+    } else if (_.isNil(data)) {
+      return [];
+    }
+
+    try {
+      return [].concat(this.tags({params, query, data}) || []);
+    } catch (err) {
+      console.warn(`Could not compute the tags of a query of resource ${this.id}: ${err.message}`); //eslint-disable-line no-console
+      return [];
+    }
+  }
 
-    return pendingPut;
+  entryFields(response) {
+    return this.pagination ?
+      this.mergePage(new List(), response, this.pagination.initialPage) :
+      new Map({data: fromJS(response.body)});
   }
 
-  makePost({
+  // Cache headers stored on an entry. The validators of a batched response belong to the whole
+  // batch, so only its max-age is kept.
+  cacheHeadersOf(response) {
+    const cacheHeaders = getCacheHeaders(response.headers);
+    return this.batch ? _.pick(cacheHeaders, 'maxAge') : cacheHeaders;
+  }
+
+  // Runs a GET response through the resource's validation, if any. Rejected responses fail with a
+  // normalized validation error.
+  validateResponse(response) {
+    if (!this.validation) {
+      return response;
+    }
+
+    try {
+      return Object.assign({}, response, {
+        body: validateBody(this.validation, this.id, response.body, this.model)
+      });
+    } catch (err) {
+      throw normalizeError(err, response.status);
+    }
+  }
+
+  // Adds a GET to the batch collecting requests with the same headers, and resolves with a response
+  // holding its own slice of the batched response. The batched request is aborted once every query
+  // in it is cancelled.
+  sendBatched(request, batchQuery) {
+    const batchKey = JSON.stringify(request.header || {});
+    if (!this.pendingBatches[batchKey]) {
+      this.pendingBatches[batchKey] = {
+        header: request.header,
+        members: [],
+        timer: setTimeout(() => this.flushBatch(batchKey), this.batch.window),
+        sentRequest: null
+      };
+    }
+    const batch = this.pendingBatches[batchKey];
+
+    return new Promise((resolve, reject, onCancel) => {
+      const member = Object.assign({resolve, reject, cancelled: false}, batchQuery);
+      batch.members.push(member);
+      if (batch.members.length >= this.batch.maxSize) {
+        this.flushBatch(batchKey);
+      }
+
+      onCancel(() => {
+        member.cancelled = true;
+        if (batch.sentRequest && batch.members.every((entry) => entry.cancelled)) {
+          batch.sentRequest.cancel();
+        }
+      });
+    });
+  }
+
+  // Queries missing from the split response fail as if their own request had returned a 404.
+  // Cancellations reach the batch asynchronously, so queries whose pending GET was already aborted
+  // are left out as well.
+  flushBatch(batchKey) {
+    const batch = this.pendingBatches[batchKey];
+    clearTimeout(batch.timer);
+    delete this.pendingBatches[batchKey];
+
+    const members = batch.members.filter((member) => {
+      return !member.cancelled && this.cache.hasIn([member.cacheKey, 'pendingGet']);
+    });
+    if (!members.length) {
+      return;
+    }
+
+    // A throwing `getRequest` or `splitResponse` fails every query of the batch.
+    const queries = members.map(({params, query}) => ({params, query}));
+    let batchRequest = null;
+    try {
+      batchRequest = this.batch.getRequest(queries);
+    } catch (err) {
+      const normalizedError = normalizeError(err);
+      members.forEach((member) => member.reject(normalizedError));
+      return;
+    }
+
+    const {path = '', query} = batchRequest;
+    batch.sentRequest = this.sendWithRetry({
+      method: 'get',
+      path,
+      query,
+      header: batch.header
+    }, members.map((member) => member.cacheKey));
+
+    batch.sentRequest.then((response) => {
+      const bodies = this.batch.splitResponse(response.body, queries);
+      members.forEach((member, index) => {
+        const body = _.get(bodies, index);
+        if (_.isUndefined(body)) {
+          const missing = {status: 404, headers: response.headers, body: ''};
+          member.reject(normalizeError(toResponseError(missing), missing.status));
+        } else {
+          member.resolve(Object.assign({}, response, {body}));
+        }
+      });
+    }).catch((err) => {
+      members.forEach((member) => member.reject(err));
+    });
+  }
+
+  // Builds the entry fields for a page appended to `previousItems`: the merged list as `data` and
+  // the page to request next, if any.
+  mergePage(previousItems, response, page) {
+    const body = fromJS(response.body);
+    const items = fromJS(this.pagination.getItems(body)) || new List();
+    const nextPage = this.pagination.getNextPage({
+      body,
+      items,
+      page,
+      headers: response.headers || {}
+    });
+
+    return new Map({
+      data: previousItems.concat(items),
+      nextPage: _.isNil(nextPage) ? null : nextPage,
+      hasMore: !_.isNil(nextPage)
+    });
+  }
+
+  // Requests the next page of a paginated query and appends it to the entry's list. Resolves with
+  // the merged list. Pages that arrive after the query was refetched from its first page are dropped.
+  fetchNextPage(cacheKey, {
     path = '',
-    payload,
     query,
     header,
     customHookData
   }) {
-    const fullPath = this.parentApi.location
-      .concat(path);
-
-    const pendingPost = new Promise((resolve, reject) => {
-      request
-        .post(fullPath)
-        .query(query)
-        .send(payload)
-        .timeout(this.parentApi.timeout)
-        .set(header)
-        .end((err, res) => {
-          const status = res.status;
-          let payload = null;
-          if (!err) {
-            if (res.hasOwnProperty('text') && res.text) {
-              try {
-                payload = JSON.parse(res.text);
-              } catch (error) {
-                const normalizedError = normalizeError(error, status);
-                this.parentApi.emit('change', {error: normalizedError, customHookData});
-                return reject(normalizedError);
-              }
-            }
-          }
+    const entry = this.cache.get(cacheKey, null);
+    if (entry === null || entry.has('pendingGet') || !entry.get('hasMore')) {
+      return entry === null || entry.has('pendingGet') ?
+        Promise.resolve(this.model) :
+        Promise.resolve(this.readEntry(entry));
+    } else if (entry.has('pendingPage')) {
+      return entry.get('pendingPage');
+    }
 
-          if (err || !isStatusSuccess(status)) {
-            const normalizedError = normalizeError(err, status);
-            this.parentApi.emit('change', {error: normalizedError, customHookData});
-            return reject(normalizedError);
-          } else {
-            const immutablePayload = fromJS(payload);
-            this.parentApi.emit('change', {payload: immutablePayload, customHookData});
-            return resolve(immutablePayload);
-          }
+    const page = entry.get('nextPage');
+    const previousStatus = this.statusOf(cacheKey);
+    const startedAt = Date.now();
+    const isCurrent = () => this.cache.getIn([cacheKey, 'pendingPage']) === pendingPage;
+    const pendingPage = this.sendRequest({
+      method: 'get',
+      path,
+      query: Object.assign({}, query, {[this.pagination.pageParam]: page}),
+      header
+    }).then((response) => this.validateResponse(response)).then((response) => {
+      if (!isCurrent()) {
+        return this.cache.has(cacheKey) ? this.readEntry(this.cache.get(cacheKey)) : this.model;
+      }
+
+      const current = this.cache.get(cacheKey);
+      const updated = this.normalizeEntry(current
+        .merge(this.mergePage(this.readEntry(current), response, page))
+        .delete('pendingPage')
+        .delete('pageError'));
+      this.cache = this.cache.set(cacheKey, updated);
+      this.afterWrite(cacheKey);
+
+      const immutablePayload = this.readEntry(updated);
+      this.parentApi.notify([this.changeEvent(cacheKey, {
+        operation: 'fetchMore',
+        previousStatus,
+        payload: immutablePayload,
+        duration: Date.now() - startedAt,
+        customHookData
+      })], {payload: immutablePayload, customHookData});
+      return immutablePayload;
+    }, (normalizedError) => {
+      if (isCurrent()) {
+        this.cache = this.cache.update(cacheKey, (current) => {
+          return current.delete('pendingPage').set('pageError', normalizedError);
         });
+      }
+
+      this.parentApi.notify([this.changeEvent(cacheKey, {
+        operation: 'fetchMore',
+        previousStatus,
+        error: normalizedError,
+        duration: Date.now() - startedAt,
+        customHookData
+      })], {error: normalizedError, customHookData});
+      throw normalizedError;
     });
 
-    return pendingPost;
+    this.cache = this.cache.setIn([cacheKey, 'pendingPage'], pendingPage);
+    this.parentApi.notify([this.changeEvent(cacheKey, {
+      operation: 'fetchMore',
+      previousStatus,
+      customHookData
+    })], {customHookData});
+
+    return pendingPage;
   }
 
-  makeDelete({
+  // PUT, POST and DELETE share everything but the method; DELETE always resolves with an empty Map.
+  // Optimistic updates are applied before the request goes out and rolled back if it fails; cache
+  // updates are applied once it succeeds, and reported along with the mutation itself.
+  makeMutation(method, {
     path = '',
+    cacheKey,
+    payload,
+    multipart,
     query,
     header,
+    optimistic,
+    updates,
+    onUploadProgress,
     customHookData
   }) {
-    const fullPath = this.parentApi.location
-      .concat(path);
-
-    const pendingDelete = new Promise((resolve, reject) => {
-      request
-        .del(fullPath)
-        .query(query)
-        .timeout(this.parentApi.timeout)
-        .set(header)
-        .end((err, res) => {
-          const status = res.status;
-
-          if (err || !isStatusSuccess(status)) {
-            const normalizedError = normalizeError(err, status);
-            this.parentApi.emit('change', {error: normalizedError, customHookData});
-            return reject(normalizedError);
-          } else {
-            this.parentApi.emit('change', {payload: new Map(), customHookData});
-            return resolve(new Map());
-          }
-        });
+    _.forEach(updates, ({id, action}) => {
+      if (!this.parentApi.resourcePool.has(id)) {
+        throw new Error(`Invalid cache update: resource ${id} was never initialized.`);
+      } else if (!_.isFunction(action) && !_.includes(CACHE_UPDATE_ACTIONS, action)) {
+        throw new Error(`Invalid cache update for resource ${id}: unknown action ${action}`);
+      }
+    });
+    // Mutations whose optimistic updates cannot be applied are rejected without being sent.
+    let rollback = _.noop;
+    try {
+      rollback = optimistic ? this.parentApi.applyOptimisticUpdates(optimistic, customHookData) : _.noop;
+    } catch (err) {
+      return Promise.reject(normalizeError(err));
+    }
+    let settled = false;
+    const pendingStatus = DataStatus[`PENDING_${method.toUpperCase()}`] || DataStatus.PENDING_REQUEST;
+    const startedAt = Date.now();
+    const hasBody = !['delete', 'head'].includes(method);
+
+    // HEAD requests change nothing, so they are not worth queueing.
+    const queue = method === 'head' ? null : this.parentApi.mutationQueue;
+    const request = {
+      method,
+      path,
+      query,
+      header,
+      payload: hasBody ? payload : undefined,
+      multipart: hasBody && multipart,
+      onUploadProgress
+    };
+    const idempotencyKey = queue ?
+      queue.getIdempotencyKey({resourceId: this.id, method, path, query, payload}) :
+      null;
+    if (!_.isNil(idempotencyKey)) {
+      request.header = Object.assign({}, header, {[queue.idempotencyHeader]: idempotencyKey});
+    }
+
+    // Without a network, mutations wait in the API's queue and settle once they are replayed.
+    const pendingMutation = this.sendRequest(request).catch((normalizedError) => {
+      if (!queue || !isNetworkError(normalizedError)) {
+        throw normalizedError;
+      }
+
+      return this.parentApi.enqueueMutation({resource: this, request, idempotencyKey, customHookData});
+    }).then((response) => {
+      settled = true;
+      const immutablePayload = mutationResult(method, response);
+      // Entities in a mutation response replace the copies every other query reads.
+      if (hasBody) {
+        this.normalizeEntry(new Map({data: immutablePayload}));
+      }
+      // The server applied the mutation whatever becomes of its cache updates, so failing rules are
+      // reported on their own.
+      let updateEvents = [];
+      let updateError = null;
+      try {
+        updateEvents = updates ? this.parentApi.applyCacheUpdates(updates, immutablePayload, customHookData) : [];
+      } catch (err) {
+        updateError = err;
+      }
+      this.parentApi.notify([this.changeEvent(cacheKey, {
+        operation: method,
+        previousStatus: pendingStatus,
+        status: DataStatus.FRESH,
+        payload: immutablePayload,
+        duration: Date.now() - startedAt,
+        customHookData
+      })].concat(updateEvents), {payload: immutablePayload, customHookData});
+      if (updateError) {
+        this.parentApi.emit('updateError', {resourceId: this.id, cacheKey, error: updateError, customHookData});
+      }
+      return immutablePayload;
+    }, (normalizedError) => {
+      settled = true;
+      rollback();
+      this.parentApi.notify([this.changeEvent(cacheKey, {
+        operation: method,
+        previousStatus: pendingStatus,
+        status: DataStatus.ERROR,
+        error: normalizedError,
+        duration: Date.now() - startedAt,
+        customHookData
+      })], {error: normalizedError, customHookData});
+      throw normalizedError;
+    });
+
+    // Aborted mutations never settle, so their optimistic updates are rolled back here instead.
+    const trackedMutation = pendingMutation.finally(() => {
+      this.pendingMutations = this.pendingMutations.delete(trackedMutation);
+      if (!settled) {
+        rollback();
+      }
     });
+    this.pendingMutations = this.pendingMutations.add(trackedMutation);
 
-    return pendingDelete;
+    return trackedMutation;
   }
 }
 
 module.exports = {
   ExternalAPI,
-  getEmptyPayload
+  ValidationError,
+  getEmptyPayload,
+  rehydrateCache,
+  superagentTransport,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  ManualEnvironment,
+  consoleReporter,
+  mockTransport,
+  FixtureRecorder,
+  loadFixtures
 }
@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const Promise = require('bluebird');
+
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+// Storage adapters follow the shape of `window.localStorage`: string values under string keys,
+// through `getItem`, `setItem` and `removeItem`. Any of them may return a promise instead, so
+// `localStorage` and asynchronous stores (IndexedDB wrappers, files, ...) both fit.
+class MemoryStorageAdapter {
+  constructor() {
+    this.items = {};
+  }
+
+  getItem(key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+// Keeps every key in a single JSON file. Meant for Node processes (scripts, tests, servers).
+class FileStorageAdapter {
+  constructor(path) {
+    this.path = path;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Writes are chained so that concurrent updates never read a file another one is rewriting.
+  updateItems(update) {
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(() => this.readItems()).then((items) => {
+      update(items);
+      return writeFile(this.path, JSON.stringify(items));
+    });
+
+    return this.pendingWrite;
+  }
+
+  readItems() {
+    return readFile(this.path, 'utf8')
+      .then((contents) => JSON.parse(contents))
+      .catch(() => ({}));
+  }
+
+  getItem(key) {
+    return this.readItems().then((items) => items.hasOwnProperty(key) ? items[key] : null);
+  }
+
+  setItem(key, value) {
+    return this.updateItems((items) => {
+      items[key] = String(value);
+    });
+  }
+
+  removeItem(key) {
+    return this.updateItems((items) => {
+      delete items[key];
+    });
+  }
+}
+
+module.exports = {
+  MemoryStorageAdapter,
+  FileStorageAdapter
+};
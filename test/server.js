@@ -37,6 +37,33 @@ app.get('/users', (req, res) => {
   res.send(USER_DATA);
 });
 
+app.patch('/users/:username', (req, res) => {
+  res.status(200).send({username: req.params.username, patched: true});
+});
+
+app.get('/exports/users', (req, res) => {
+  res.type('text/csv').send(USER_DATA.map((user) => `${user.username},${user.status}`).join('\n'));
+});
+
+app.get('/avatars/:username', (req, res) => {
+  if (req.params.username === 'nobody') {
+    res.status(404).send({message: 'No avatar for nobody'});
+    return;
+  }
+
+  res.type('application/octet-stream').send(Buffer.from([0, 1, 2, 255]));
+});
+
+app.post('/uploads', (req, res) => {
+  let bytes = 0;
+  req.on('data', (chunk) => {
+    bytes += chunk.length;
+  });
+  req.on('end', () => {
+    res.status(201).send({contentType: req.headers['content-type'], bytes});
+  });
+});
+
 // app.listen(3000, function () {
 //   console.log('Test server running on port 3000.');
 // });
@@ -1,12 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const should = require('chai').should();
-const {Map} = require('immutable');
+const Promise = require('bluebird');
+const {List, Map} = require('immutable');
 const server = require('./server');
 const vaska = require ('../resource');
 const {
+  DataStatus,
   DEFAULT_CACHE_TTL,
   DEFAULT_REQUEST_TIMEOUT
 } = require('../constants');
 
+// Answers requests from a `{'<method> <path>': (request) => response}` table without a server.
+function memoryTransport(routes) {
+  const transport = (request) => {
+    transport.requests.push(request);
+    const route = routes[`${request.method} ${request.path}`];
+    return Promise.resolve(route ? route(request) : {status: 404, headers: {}, body: ''});
+  };
+  transport.requests = [];
+
+  return transport;
+}
+
+// Resolves with the next `resourceChange` event of `api` with the given operation.
+function nextEvent(api, operation) {
+  return new Promise((resolve) => {
+    const listener = (event) => {
+      if (event.operation === operation) {
+        api.removeListener('resourceChange', listener);
+        resolve(event);
+      }
+    };
+    api.on('resourceChange', listener);
+  });
+}
+
 let serverHandle = null;
 let testAPI = null;
 
@@ -16,6 +46,14 @@ const userResource = {
   model: new Map(),
 };
 
+// An API answering from a `memoryTransport` route table, with `resources` already added.
+function createMemoryAPI(routes, options = {}, resources = [userResource]) {
+  const api = new vaska.ExternalAPI(Object.assign({location: 'memory://', transport: memoryTransport(routes)}, options));
+  resources.forEach((resource) => api.addResource(resource));
+
+  return api;
+}
+
 describe('cache functionality', () => {
   before(() => {
     serverHandle = server.listen(3000, () => {})
@@ -53,6 +91,1704 @@ describe('cache functionality', () => {
     })
   });
 
+  describe('cache snapshots', () => {
+    beforeEach(() => {
+      testAPI.addResource(userResource);
+    });
+
+    it('should dehydrate successful entries into plain data', () => {
+      return testAPI.queryResource({id: 'USER', params: {username: 'goldendase'}}).promise
+        .then(() => {
+          const snapshot = testAPI.dehydrate();
+          const entries = snapshot.USER;
+          const keys = Object.keys(entries);
+
+          keys.length.should.equal(1);
+          entries[keys[0]].data.username.should.equal('goldendase');
+          entries[keys[0]].timestamp.should.be.a('number');
+          JSON.parse(testAPI.serialize()).should.deep.equal(snapshot);
+        });
+    });
+
+    it('should rebuild a fresh cache from a snapshot', () => {
+      return testAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const restoredAPI = vaska.ExternalAPI.fromSnapshot(testAPI.serialize(), {
+            location: 'http://localhost:3000'
+          });
+          restoredAPI.addResource(userResource);
+
+          const payload = restoredAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+          payload.isFresh().should.equal(true);
+          payload.data.get('currentTask').should.equal('Silently judging');
+        });
+    });
+
+    afterEach(() => {
+      testAPI.removeResource('USER');
+    });
+  });
+
+  describe('waiting for pending queries', () => {
+    beforeEach(() => {
+      testAPI.addResource(userResource);
+    });
+
+    it('should resolve with an outcome per in-flight query', () => {
+      testAPI.queryResource({id: 'USER', params: {username: 'goldendase'}});
+      testAPI.queryResource({id: 'USER', params: {username: 'jaime'}})
+        .promise.then(() => {
+          testAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+        });
+
+      return testAPI.whenIdle({timeout: 2000}).then((outcomes) => {
+        outcomes.length.should.equal(3);
+        outcomes.forEach((outcome) => {
+          outcome.resourceId.should.equal('USER');
+          outcome.status.should.equal('fulfilled');
+        });
+      });
+    });
+
+    it('should resolve immediately when nothing is pending', () => {
+      return testAPI.whenIdle().then((outcomes) => {
+        outcomes.should.deep.equal([]);
+      });
+    });
+
+    afterEach(() => {
+      testAPI.removeResource('USER');
+    });
+  });
+
+  describe('request-scoped forks', () => {
+    beforeEach(() => {
+      testAPI.addResource(userResource);
+    });
+
+    it('should share resource definitions but not caches or auth', () => {
+      const forkedAPI = testAPI.fork({authHeader: {Authorization: 'Bearer 123'}});
+
+      forkedAPI.resourcePool.get('USER').endpointTemplate.should.equal(userResource.endpoint);
+      forkedAPI.location.should.equal(testAPI.location);
+      forkedAPI.isAuthenticated().should.equal(true);
+      testAPI.isAuthenticated().should.equal(false);
+
+      return forkedAPI.queryResource({id: 'USER', params: {username: 'jaime'}}).promise
+        .then(() => {
+          forkedAPI.resourcePool.get('USER').cache.size.should.equal(1);
+          testAPI.resourcePool.get('USER').cache.size.should.equal(0);
+          forkedAPI.dispose();
+        });
+    });
+
+    it('should warn once about auth headers set on a shared API', () => {
+      const consoleWarn = console.warn;
+      const warnings = [];
+      const sharedAPI = createMemoryAPI({}, {}, []);
+      const forkedAPI = sharedAPI.fork();
+      console.warn = (message) => warnings.push(message);
+
+      try {
+        sharedAPI.setAuthHeader({Authorization: 'Bearer 123'});
+        sharedAPI.setAuthHeader({Authorization: 'Bearer 456'});
+        forkedAPI.setAuthHeader({Authorization: 'Bearer 789'});
+      } finally {
+        console.warn = consoleWarn;
+      }
+
+      warnings.length.should.equal(1);
+      warnings[0].should.contain('fork()');
+      forkedAPI.dispose();
+      sharedAPI.dispose();
+    });
+
+    it('should refuse queries once disposed', () => {
+      const forkedAPI = testAPI.fork();
+      forkedAPI.dispose();
+
+      forkedAPI.resourcePool.size.should.equal(0);
+      (() => forkedAPI.queryResource({id: 'USER', params: {username: 'jaime'}})).should.throw(Error);
+    });
+
+    it('should leave failed queries out of snapshots', () => {
+      const forkedAPI = testAPI.fork();
+
+      return forkedAPI.queryResource({id: 'USER', params: {username: 'nobody'}}).promise
+        .then(() => should.fail(), (error) => {
+          error.status.should.equal(404);
+          forkedAPI.dehydrate().should.deep.equal({USER: {}});
+          forkedAPI.dispose();
+        });
+    });
+
+    afterEach(() => {
+      testAPI.removeResource('USER');
+    });
+  });
+
+  describe('pluggable transport', () => {
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users/dc': () => ({status: 200, headers: {}, body: '{"username":"dc"}'}),
+        'put /users/dc': (request) => ({status: 200, headers: {}, body: request.body}),
+        'delete /users/dc': () => ({status: 204, headers: {}, body: ''})
+      });
+    });
+
+    it('should describe each request to the transport', () => {
+      return memoryAPI.queryResource({
+        id: 'USER',
+        params: {username: 'dc'},
+        query: {fields: 'username'},
+        header: {'X-Test': 'yes'}
+      }).promise.then((data) => {
+        data.get('username').should.equal('dc');
+
+        const request = memoryAPI.transport.requests[0];
+        request.method.should.equal('get');
+        request.url.should.equal('memory:///users/dc');
+        request.query.should.deep.equal({fields: 'username'});
+        request.headers.should.deep.equal({'X-Test': 'yes'});
+        request.timeout.should.equal(DEFAULT_REQUEST_TIMEOUT);
+      });
+    });
+
+    it('should accept parsed bodies and empty responses for mutations', () => {
+      const put = memoryAPI.queryResource({
+        id: 'USER',
+        method: 'put',
+        params: {username: 'dc'},
+        payload: {status: 'inactive'}
+      }).promise;
+      const del = memoryAPI.queryResource({id: 'USER', method: 'delete', params: {username: 'dc'}}).promise;
+
+      return Promise.all([put, del]).then(([putData, deleteData]) => {
+        putData.get('status').should.equal('inactive');
+        deleteData.size.should.equal(0);
+      });
+    });
+
+    it('should normalize unsuccessful responses', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'nobody'}}).promise
+        .then(() => should.fail(), (error) => {
+          error.status.should.equal(404);
+          error.should.have.property('displayMessage');
+        });
+    });
+  });
+
+  describe('middleware', () => {
+    let memoryAPI = null;
+    let token = 'expired';
+
+    beforeEach(() => {
+      token = 'expired';
+      memoryAPI = createMemoryAPI({
+        'get /users/dc': (request) => {
+          return request.headers.Authorization === 'Bearer fresh' ?
+            {status: 200, headers: {}, body: '{"data":{"username":"dc"}}'} :
+            {status: 401, headers: {}, body: '{"message":"Token expired"}'};
+        }
+      });
+      memoryAPI.use({
+        onRequest: (request) => {
+          return Object.assign({}, request, {
+            headers: Object.assign({}, request.headers, {Authorization: `Bearer ${token}`})
+          });
+        },
+        onResponse: (response, context) => {
+          if (response.status === 401) {
+            token = 'fresh';
+            return context.retry();
+          }
+          return Object.assign({}, response, {body: response.body.data});
+        }
+      });
+    });
+
+    it('should modify requests, retry them and unwrap responses', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then((data) => {
+          data.get('username').should.equal('dc');
+          memoryAPI.transport.requests.length.should.equal(2);
+          memoryAPI.transport.requests[1].headers.Authorization.should.equal('Bearer fresh');
+        });
+    });
+
+    it('should let a request be answered without the transport', () => {
+      memoryAPI.middleware = memoryAPI.middleware.clear();
+      const removeMiddleware = memoryAPI.use({
+        onRequest: (request, context) => context.respond({status: 200, headers: {}, body: {username: 'mock'}})
+      });
+
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then((data) => {
+          data.get('username').should.equal('mock');
+          memoryAPI.transport.requests.length.should.equal(0);
+          removeMiddleware();
+          memoryAPI.middleware.size.should.equal(0);
+        });
+    });
+
+    it('should let error hooks recover from transport failures', () => {
+      const failingAPI = new vaska.ExternalAPI({
+        location: 'memory://',
+        transport: () => Promise.reject(new Error('socket hang up')),
+        middleware: [{
+          onError: (error) => ({status: 200, headers: {}, body: {recovered: error.message}})
+        }]
+      });
+      failingAPI.addResource(userResource);
+
+      return failingAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then((data) => {
+          data.get('recovered').should.equal('socket hang up');
+        });
+    });
+  });
+
+  describe('retrying failed fetches', () => {
+    it('should retry retryable failures and expose the attempt on the payload', () => {
+      let failures = 2;
+      const retryAPI = createMemoryAPI({
+        'get /users/dc': () => {
+          return failures-- > 0 ?
+            {status: 503, headers: {}, body: ''} :
+            {status: 200, headers: {}, body: '{"username":"dc"}'};
+        }
+      }, {}, [Object.assign({retry: {delay: 5, jitter: 0}}, userResource)]);
+
+      let retryPayload = null;
+      retryAPI.on('change', ({retry}) => {
+        if (retry && !retryPayload) {
+          retryPayload = retryAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+        }
+      });
+
+      return retryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then((data) => {
+          data.get('username').should.equal('dc');
+          retryAPI.transport.requests.length.should.equal(3);
+          retryPayload.isPending().should.equal(true);
+          retryPayload.attempt.should.equal(2);
+          retryPayload.nextRetryAt.should.be.a('number');
+        });
+    });
+
+    it('should give up on statuses that are not retryable', () => {
+      const retryAPI = createMemoryAPI({}, {retry: {delay: 5}});
+
+      return retryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => should.fail(), (error) => {
+          error.status.should.equal(404);
+          retryAPI.transport.requests.length.should.equal(1);
+        });
+    });
+
+    it('should only retry failures of the transport as network errors', () => {
+      const retryAPI = createMemoryAPI({
+        'get /users/dc': () => ({status: 200, headers: {}, body: {username: 'dc'}})
+      }, {retry: {delay: 5}});
+      retryAPI.use({
+        onResponse: () => {
+          throw new Error('Broken middleware');
+        }
+      });
+
+      return retryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => should.fail(), (error) => {
+          error.networkError.should.equal(false);
+          retryAPI.transport.requests.length.should.equal(1);
+        });
+    });
+  });
+
+  describe('optimistic updates', () => {
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users/dc': () => ({status: 200, headers: {}, body: '{"username":"dc","status":"active"}'}),
+        'put /users/dc': (request) => ({status: 200, headers: {}, body: request.body}),
+        'put /users/jaime': () => ({status: 500, headers: {}, body: ''})
+      });
+    });
+
+    function putStatus(username, status) {
+      return memoryAPI.queryResource({
+        id: 'USER',
+        method: 'put',
+        params: {username},
+        payload: {status},
+        optimistic: [{
+          id: 'USER',
+          params: {username: 'dc'},
+          update: (user) => user.set('status', status)
+        }]
+      });
+    }
+
+    function getStatus() {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).data.get('status');
+    }
+
+    it('should patch the cache before the mutation resolves', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const promise = putStatus('dc', 'inactive').promise;
+          getStatus().should.equal('inactive');
+          return promise;
+        })
+        .then(() => {
+          getStatus().should.equal('inactive');
+        });
+    });
+
+    it('should roll the cache back when the mutation fails', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const promise = putStatus('jaime', 'inactive').promise;
+          getStatus().should.equal('inactive');
+          return promise;
+        })
+        .then(() => should.fail(), () => {
+          getStatus().should.equal('active');
+        });
+    });
+
+    it('should reject mutations with optimistic updates of unknown resources', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const payload = memoryAPI.queryResource({
+            id: 'USER',
+            method: 'put',
+            params: {username: 'dc'},
+            payload: {status: 'inactive'},
+            optimistic: [
+              {id: 'USER', params: {username: 'dc'}, update: (user) => user.set('status', 'inactive')},
+              {id: 'TEAM', params: {name: 'albert'}, update: (team) => team}
+            ]
+          });
+          getStatus().should.equal('active');
+          return payload.promise;
+        })
+        .then(() => should.fail(), (error) => {
+          error.error.message.should.equal('Resource TEAM was never initialized.');
+          getStatus().should.equal('active');
+        });
+    });
+
+    it('should undo earlier optimistic updates when a later one throws', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          return memoryAPI.queryResource({
+            id: 'USER',
+            method: 'put',
+            params: {username: 'dc'},
+            payload: {status: 'inactive'},
+            optimistic: [
+              {id: 'USER', params: {username: 'dc'}, update: (user) => user.set('status', 'inactive')},
+              {id: 'USER', params: {username: 'dc'}, update: () => {
+                throw new Error('boom');
+              }}
+            ]
+          }).promise;
+        })
+        .then(() => should.fail(), (error) => {
+          error.error.message.should.equal('boom');
+          getStatus().should.equal('active');
+          memoryAPI.transport.requests.filter((request) => request.method === 'put').length.should.equal(0);
+        });
+    });
+  });
+
+  describe('normalized entities', () => {
+    it('should share entities between the queries of different resources', () => {
+      const entity = {type: 'user', idAttribute: 'username'};
+      const memoryAPI = createMemoryAPI({
+        'get /users': () => ({status: 200, headers: {}, body: '[{"username":"dc","status":"active"},{"username":"jaime"}]'}),
+        'get /users/dc': () => ({status: 200, headers: {}, body: '{"username":"dc","status":"active"}'}),
+        'put /users/dc': (request) => ({status: 200, headers: {}, body: request.body})
+      }, {}, [
+        Object.assign({entity}, userResource),
+        {id: 'USERS', endpoint: '/users', model: new List(), entity}
+      ]);
+
+      const getUsers = () => memoryAPI.queryResource({id: 'USERS'});
+
+      return Promise.all([
+        getUsers().promise,
+        memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+      ]).then(() => {
+        memoryAPI.getEntity('user', 'dc').get('status').should.equal('active');
+
+        return memoryAPI.queryResource({
+          id: 'USER',
+          method: 'put',
+          params: {username: 'dc'},
+          payload: {username: 'dc', status: 'inactive'}
+        }).promise;
+      }).then(() => {
+        const users = getUsers();
+        users.isFresh().should.equal(true);
+        users.data.size.should.equal(2);
+        users.data.getIn([0, 'status']).should.equal('inactive');
+        memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).data.get('status').should.equal('inactive');
+
+        const snapshot = memoryAPI.dehydrate().USERS;
+        snapshot[Object.keys(snapshot)[0]].data[0].status.should.equal('inactive');
+      });
+    });
+
+    it('should notify the subscribers of every query reading a changed entity', () => {
+      const entity = {type: 'user', idAttribute: 'username'};
+      const memoryAPI = createMemoryAPI({
+        'get /users': () => ({status: 200, headers: {}, body: [{username: 'dc', status: 'active'}]}),
+        'put /users/dc': (request) => ({status: 200, headers: {}, body: request.body}),
+        'put /users/jaime': (request) => ({status: 200, headers: {}, body: request.body})
+      }, {}, [
+        Object.assign({entity}, userResource),
+        {id: 'USERS', endpoint: '/users', model: new List(), entity}
+      ]);
+      const operations = [];
+      const putUser = (username, status) => memoryAPI.queryResource({
+        id: 'USER',
+        method: 'put',
+        params: {username},
+        payload: {username, status}
+      }).promise;
+
+      return memoryAPI.queryResource({id: 'USERS'}).promise.then(() => {
+        memoryAPI.subscribe({resourceId: 'USERS'}, (event) => operations.push(event.operation));
+        return putUser('jaime', 'active');
+      }).then(() => {
+        operations.should.deep.equal([]);
+        return putUser('dc', 'gone');
+      }).then(() => {
+        operations.should.deep.equal(['entity']);
+        memoryAPI.queryResource({id: 'USERS'}).data.getIn([0, 'status']).should.equal('gone');
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    let aborted = null;
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      aborted = [];
+      memoryAPI = new vaska.ExternalAPI({
+        location: 'memory://',
+        transport: (request) => new Promise((resolve, reject, onCancel) => {
+          onCancel(() => aborted.push(`${request.method} ${request.path}`));
+        })
+      });
+      memoryAPI.addResource(userResource);
+    });
+
+    it('should only abort a shared GET once every payload is cancelled', () => {
+      const first = memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+      const second = memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+
+      first.cancel();
+      return Promise.delay(5).then(() => {
+        aborted.should.deep.equal([]);
+        memoryAPI.resourcePool.get('USER').pendingGets().size.should.equal(1);
+
+        second.cancel();
+        return Promise.delay(5);
+      }).then(() => {
+        aborted.should.deep.equal(['get /users/dc']);
+        memoryAPI.resourcePool.get('USER').cache.size.should.equal(0);
+      });
+    });
+
+    it('should abort everything and roll back optimistic updates on abortAll', () => {
+      const resource = memoryAPI.resourcePool.get('USER');
+      resource.cache = resource.cache.set(resource.cacheKeyFor({params: {username: 'jaime'}}), new Map({
+        data: new Map({username: 'jaime', status: 'inactive'}),
+        timestamp: new Date(),
+        success: true
+      }));
+
+      memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+      memoryAPI.queryResource({
+        id: 'USER',
+        method: 'put',
+        params: {username: 'jaime'},
+        payload: {status: 'active'},
+        optimistic: [{id: 'USER', params: {username: 'jaime'}, update: (user) => user.set('status', 'active')}]
+      });
+
+      return Promise.delay(5).then(() => {
+        memoryAPI.abortAll();
+        return Promise.delay(5);
+      }).then(() => {
+        aborted.sort().should.deep.equal(['get /users/dc', 'put /users/jaime']);
+        memoryAPI.queryResource({id: 'USER', params: {username: 'jaime'}}).data.get('status').should.equal('inactive');
+      });
+    });
+  });
+
+  describe('paginated resources', () => {
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      const users = ['goldendase', 'dc', 'jaime'].map((username) => ({username}));
+      memoryAPI = createMemoryAPI({
+        'get /users': (request) => {
+          const page = request.query.page;
+          return {status: 200, headers: {}, body: {results: users.slice((page - 1) * 2, page * 2)}};
+        }
+      }, {}, [{
+        id: 'USERS',
+        endpoint: '/users',
+        model: new List(),
+        pagination: {getItems: (body) => body.get('results')}
+      }]);
+    });
+
+    const getUsers = () => memoryAPI.queryResource({id: 'USERS', query: {status: 'all'}});
+
+    it('should merge pages under one query until none are left', () => {
+      return getUsers().promise
+        .then((users) => {
+          users.size.should.equal(2);
+          memoryAPI.transport.requests[0].query.should.deep.equal({status: 'all', page: 1});
+          getUsers().hasMore.should.equal(true);
+
+          const payload = getUsers();
+          const pendingPage = payload.fetchMore();
+          getUsers().isLoadingMore.should.equal(true);
+          return pendingPage;
+        })
+        .then((users) => {
+          users.map((user) => user.get('username')).toArray().should.deep.equal(['goldendase', 'dc', 'jaime']);
+          return getUsers().fetchMore();
+        })
+        .then((users) => {
+          users.size.should.equal(3);
+          getUsers().hasMore.should.equal(false);
+          getUsers().isLoadingMore.should.equal(false);
+          memoryAPI.transport.requests.length.should.equal(3);
+        });
+    });
+
+    it('should start over from the first page once invalidated', () => {
+      return getUsers().promise
+        .then(() => getUsers().fetchMore())
+        .then(() => {
+          memoryAPI.resourcePool.get('USERS').invalidateCache();
+          return getUsers().promise;
+        })
+        .then((users) => {
+          users.size.should.equal(2);
+          memoryAPI.transport.requests[2].query.page.should.equal(1);
+          getUsers().hasMore.should.equal(true);
+        });
+    });
+  });
+
+  describe('persistence', () => {
+    let storage = null;
+
+    function createAPI(persistence = {}) {
+      return createMemoryAPI({
+        'get /users/dc': (request) => request.headers['If-None-Match'] === '"v1"' ?
+          {status: 304, headers: {}, body: ''} :
+          {status: 200, headers: {'ETag': '"v1"'}, body: '{"username":"dc"}'}
+      }, {
+        persistence: Object.assign({storage}, persistence)
+      }, [Object.assign({persist: true}, userResource)]);
+    }
+
+    beforeEach(() => {
+      storage = new vaska.MemoryStorageAdapter();
+    });
+
+    it('should write successful GETs through and restore them as stale', () => {
+      return createAPI().queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const restoredAPI = createAPI();
+          return restoredAPI.persistenceReady.then(() => restoredAPI);
+        })
+        .then((restoredAPI) => {
+          const payload = restoredAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+          payload.isStale().should.equal(true);
+          payload.data.get('username').should.equal('dc');
+        });
+    });
+
+    it('should keep the timestamps of restored entries when persisting them again', () => {
+      return createAPI().queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const restoredAPI = createAPI();
+          return restoredAPI.persistenceReady.then(() => restoredAPI.persistCache());
+        })
+        .then(() => {
+          const stored = JSON.parse(storage.getItem('vaska-cache:default'));
+          Object.values(stored.entries.USER)[0].timestamp.should.be.above(0);
+          const laterAPI = createAPI({maxAge: 60000});
+          return laterAPI.persistenceReady.then(() => laterAPI);
+        })
+        .then((laterAPI) => {
+          laterAPI.queryResource({id: 'USER', params: {username: 'dc'}}).isStale().should.equal(true);
+        });
+    });
+
+    it('should refresh restored entries the server reports as not modified', () => {
+      let restoredAPI = null;
+      const getUser = () => restoredAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+
+      return createAPI().queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          restoredAPI = createAPI();
+          return restoredAPI.persistenceReady;
+        })
+        .then(() => getUser().promise)
+        .then(() => {
+          restoredAPI.transport.requests.length.should.equal(1);
+          getUser().isFresh().should.equal(true);
+          restoredAPI.transport.requests.length.should.equal(1);
+        });
+    });
+
+    it('should discard snapshots of another version or past their maximum age', () => {
+      return createAPI().queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then(() => {
+          const outdatedAPI = createAPI({maxAge: -1});
+          return outdatedAPI.persistenceReady.then(() => {
+            outdatedAPI.resourcePool.get('USER').cache.size.should.equal(0);
+            const upgradedAPI = createAPI({version: 2});
+            return upgradedAPI.persistenceReady.then(() => upgradedAPI);
+          });
+        })
+        .then((upgradedAPI) => {
+          upgradedAPI.resourcePool.get('USER').cache.size.should.equal(0);
+          should.not.exist(storage.getItem('vaska-cache:default'));
+        });
+    });
+
+    it('should store snapshots in a JSON file', () => {
+      const filePath = path.join(os.tmpdir(), `vaska-test-${process.pid}.json`);
+      const fileStorage = new vaska.FileStorageAdapter(filePath);
+
+      return fileStorage.setItem('key', 'value')
+        .then(() => fileStorage.getItem('key'))
+        .then((value) => {
+          value.should.equal('value');
+          return fileStorage.removeItem('key');
+        })
+        .then(() => fileStorage.getItem('key'))
+        .then((value) => {
+          should.not.exist(value);
+          fs.unlinkSync(filePath);
+        });
+    });
+  });
+
+  describe('offline mutation queue', () => {
+    let online = false;
+    let requests = null;
+    let environment = null;
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      online = false;
+      requests = [];
+      environment = new vaska.ManualEnvironment();
+      memoryAPI = new vaska.ExternalAPI({
+        location: 'memory://',
+        environment,
+        mutationQueue: {getIdempotencyKey: ({method, path}) => `${method} ${path}`},
+        transport: (request) => {
+          requests.push(request);
+          if (!online) {
+            return Promise.reject(new Error('Network unreachable'));
+          }
+          return request.path === '/users/nobody' ?
+            {status: 404, headers: {}, body: ''} :
+            {status: 200, headers: {}, body: request.body || {username: 'dc'}};
+        }
+      });
+      memoryAPI.addResource(userResource);
+    });
+
+    function putUser(username) {
+      return memoryAPI.queryResource({id: 'USER', method: 'put', params: {username}, payload: {username}});
+    }
+
+    it('should replay queued mutations in order once reconnected', () => {
+      const replays = [];
+      memoryAPI.on('replay', (outcome) => replays.push(outcome));
+
+      const first = putUser('dc');
+      const duplicate = putUser('dc');
+      const second = putUser('nobody');
+      first.invalidatesResource('USER');
+
+      return Promise.delay(5).then(() => {
+        memoryAPI.queuedMutations.size.should.equal(2);
+        online = true;
+        environment.reconnect();
+        return first.promise;
+      }).then((data) => {
+        data.get('username').should.equal('dc');
+        return duplicate.promise;
+      }).then(() => second.promise.then(() => should.fail(), (error) => {
+        error.status.should.equal(404);
+        replays.map((outcome) => outcome.status).should.deep.equal(['success', 'failed']);
+        replays[0].idempotencyKey.should.equal('put /users/dc');
+        requests[requests.length - 2].headers['Idempotency-Key'].should.equal('put /users/dc');
+        memoryAPI.queuedMutations.size.should.equal(0);
+      }));
+    });
+
+    it('should keep mutations queued while still offline', () => {
+      putUser('dc');
+
+      return Promise.delay(5)
+        .then(() => memoryAPI.flushQueue())
+        .then((outcomes) => {
+          outcomes.length.should.equal(1);
+          outcomes[0].status.should.equal('offline');
+          memoryAPI.queuedMutations.size.should.equal(1);
+        });
+    });
+
+    it('should reject mutations failing for reasons other than the network', () => {
+      online = true;
+      memoryAPI.use({
+        onResponse: () => {
+          throw new Error('Broken middleware');
+        }
+      });
+
+      return putUser('dc').promise.then(() => should.fail(), (error) => {
+        error.error.message.should.equal('Broken middleware');
+        memoryAPI.queuedMutations.size.should.equal(0);
+      });
+    });
+  });
+
+  describe('eviction', () => {
+    const usernames = ['goldendase', 'dc', 'jaime'];
+    let memoryAPI = null;
+
+    function createAPI(eviction, resourceEviction) {
+      const routes = {};
+      usernames.forEach((username) => {
+        routes[`get /users/${username}`] = () => ({status: 200, headers: {}, body: {username}});
+      });
+      memoryAPI = createMemoryAPI(routes, {eviction}, [Object.assign({eviction: resourceEviction}, userResource)]);
+    }
+
+    function getUser(username) {
+      return memoryAPI.queryResource({id: 'USER', params: {username}});
+    }
+
+    function cachedUsernames() {
+      const resource = memoryAPI.resourcePool.get('USER');
+      return usernames.filter((username) => resource.cache.has(resource.cacheKeyFor({params: {username}})));
+    }
+
+    it('should evict the least recently used entries past the limit', () => {
+      createAPI({maxEntries: 2});
+      const evictions = [];
+      memoryAPI.on('evict', (event) => evictions.push(event));
+
+      return getUser('goldendase').promise
+        .then(() => getUser('dc').promise)
+        .then(() => {
+          getUser('goldendase');
+          return getUser('jaime').promise;
+        })
+        .then(() => {
+          cachedUsernames().should.deep.equal(['goldendase', 'jaime']);
+          evictions.length.should.equal(1);
+          evictions[0].resourceId.should.equal('USER');
+          evictions[0].reason.should.equal('limit');
+        });
+    });
+
+    it('should never evict retained entries', () => {
+      createAPI(null, {maxEntries: 1, policy: 'lfu'});
+      const release = memoryAPI.retain({id: 'USER', params: {username: 'goldendase'}});
+
+      return getUser('goldendase').promise
+        .then(() => getUser('dc').promise)
+        .then(() => {
+          cachedUsernames().should.deep.equal(['goldendase']);
+          release();
+          return getUser('jaime').promise;
+        })
+        .then(() => {
+          cachedUsernames().should.deep.equal(['jaime']);
+        });
+    });
+
+    it('should count retained entries towards maxBytes', () => {
+      createAPI({maxBytes: 45});
+      memoryAPI.retain({id: 'USER', params: {username: 'goldendase'}});
+
+      return getUser('goldendase').promise
+        .then(() => getUser('dc').promise)
+        .then(() => getUser('jaime').promise)
+        .then(() => {
+          cachedUsernames().should.deep.equal(['goldendase', 'jaime']);
+        });
+    });
+
+    it('should forget the usage of entries removed without eviction', () => {
+      createAPI({maxEntries: 10});
+      const resource = memoryAPI.resourcePool.get('USER');
+      getUser('dc');
+      memoryAPI.abortAll();
+
+      resource.usage.has(resource.cacheKeyFor({params: {username: 'dc'}})).should.equal(false);
+    });
+  });
+
+  describe('change events', () => {
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: {username: 'goldendase'}}),
+        'get /users/dc': () => ({status: 200, headers: {}, body: {username: 'dc'}}),
+        'put /users/dc': () => ({status: 500, headers: {}, body: {message: 'nope'}})
+      });
+    });
+
+    it('should describe each change and keep emitting the legacy event', () => {
+      const events = [];
+      let changes = 0;
+      memoryAPI.on('resourceChange', (event) => events.push(event));
+      memoryAPI.on('change', () => changes++);
+
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}}).promise
+        .then(() => memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}, method: 'put'}).promise)
+        .catch(() => {})
+        .then(() => {
+          changes.should.equal(2);
+          events.length.should.equal(2);
+          events[0].operation.should.equal('fetch');
+          events[0].resourceId.should.equal('USER');
+          should.equal(events[0].previousStatus, DataStatus.EMPTY);
+          should.equal(events[0].status, DataStatus.FRESH);
+          events[1].operation.should.equal('put');
+          should.equal(events[1].previousStatus, DataStatus.PENDING_PUT);
+          should.equal(events[1].status, DataStatus.ERROR);
+          events[1].error.status.should.equal(500);
+        });
+    });
+
+    it('should only call subscribers of the queries that changed', () => {
+      const heard = [];
+      const unsubscribe = memoryAPI.subscribe({resourceId: 'USER', params: {username: 'dc'}}, (event) => {
+        heard.push(event.operation);
+      });
+
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}}).promise
+        .then(() => memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise)
+        .then(() => {
+          memoryAPI.unsetAuthHeader();
+          heard.should.deep.equal(['fetch', 'auth']);
+          unsubscribe();
+          return memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}, forceRefresh: true}).promise;
+        })
+        .then(() => {
+          heard.length.should.equal(2);
+        });
+    });
+  });
+
+  describe('background refresh', () => {
+    let memoryAPI = null;
+    let environment = null;
+
+    function createAPI(options) {
+      environment = new vaska.ManualEnvironment();
+      memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => Promise.delay(5).then(() => ({status: 200, headers: {}, body: {username: 'goldendase'}}))
+      }, {environment}, [Object.assign({}, userResource, options)]);
+    }
+
+    afterEach(() => {
+      memoryAPI.dispose();
+    });
+
+    it('should poll subscribed queries until their last subscriber leaves', () => {
+      createAPI({refreshInterval: 20});
+      const query = {resourceId: 'USER', params: {username: 'goldendase'}};
+      const unsubscribe = memoryAPI.subscribe(query, () => {});
+      const unsubscribeAgain = memoryAPI.subscribe(query, () => {});
+
+      return nextEvent(memoryAPI, 'fetch')
+        .then(() => nextEvent(memoryAPI, 'fetch'))
+        .then(() => {
+          memoryAPI.transport.requests.length.should.equal(2);
+          unsubscribe();
+          unsubscribeAgain();
+          // A poll may have started just before the last subscriber left.
+          const resource = memoryAPI.resourcePool.get('USER');
+          return resource.cache.getIn([resource.cacheKeyFor(query), 'pendingGet']);
+        })
+        .then(() => {
+          const requestCount = memoryAPI.transport.requests.length;
+          return Promise.delay(50).then(() => {
+            memoryAPI.transport.requests.length.should.equal(requestCount);
+          });
+        });
+    });
+
+    it('should stop polling once the resource is removed', () => {
+      createAPI({refreshInterval: 20});
+      memoryAPI.subscribe({resourceId: 'USER', params: {username: 'goldendase'}}, () => {});
+      memoryAPI.removeResource('USER');
+
+      return Promise.delay(50).then(() => {
+        memoryAPI.transport.requests.length.should.equal(0);
+      });
+    });
+
+    it('should refetch subscribed queries on focus and reconnect', () => {
+      createAPI({refetchOnFocus: true, refetchOnReconnect: true});
+      memoryAPI.subscribe({resourceId: 'USER', params: {username: 'goldendase'}}, () => {});
+
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}}).promise
+        .then(() => {
+          const refetched = nextEvent(memoryAPI, 'fetch');
+          environment.focus();
+          environment.focus();
+          return refetched;
+        })
+        .then(() => {
+          // The second focus reuses the GET the first one started.
+          memoryAPI.transport.requests.length.should.equal(2);
+          const refetched = nextEvent(memoryAPI, 'fetch');
+          environment.reconnect();
+          return refetched;
+        })
+        .then(() => {
+          memoryAPI.transport.requests.length.should.equal(3);
+        });
+    });
+  });
+
+  describe('batching', () => {
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users': (request) => ({
+          status: 200,
+          headers: {},
+          body: request.query.usernames.split(',')
+            .filter((username) => username !== 'nobody')
+            .map((username) => ({username}))
+        })
+      }, {}, [Object.assign({
+        batch: {
+          getRequest: (queries) => {
+            if (queries.some(({params}) => params.username === 'broken')) {
+              throw new Error('Cannot batch broken users');
+            }
+            return {
+              path: '/users',
+              query: {usernames: queries.map(({params}) => params.username).join(',')}
+            };
+          },
+          splitResponse: (body, queries) => queries.map(({params}) => {
+            return body.find((user) => user.username === params.username);
+          })
+        }
+      }, userResource)]);
+    });
+
+    function getUser(username) {
+      return memoryAPI.queryResource({id: 'USER', params: {username}});
+    }
+
+    it('should send the GETs of a tick as one request and split its response', () => {
+      const payloads = ['goldendase', 'dc', 'jaime'].map(getUser);
+
+      return Promise.all(payloads.map((payload) => payload.promise)).then((users) => {
+        memoryAPI.transport.requests.length.should.equal(1);
+        memoryAPI.transport.requests[0].query.usernames.should.equal('goldendase,dc,jaime');
+        users.map((user) => user.get('username')).should.deep.equal(['goldendase', 'dc', 'jaime']);
+        getUser('dc').data.get('username').should.equal('dc');
+      });
+    });
+
+    it('should reject queries missing from the batched response', () => {
+      const found = getUser('goldendase');
+      const missing = getUser('nobody');
+
+      return missing.promise.then(() => {
+        throw new Error('Expected the query to fail');
+      }, (err) => {
+        err.status.should.equal(404);
+        return found.promise;
+      }).then((user) => {
+        user.get('username').should.equal('goldendase');
+      });
+    });
+
+    it('should reject every query of a batch its request cannot be built for', () => {
+      const payloads = ['goldendase', 'broken'].map(getUser);
+
+      return Promise.all(payloads.map((payload) => payload.promise.then(() => {
+        throw new Error('Expected the query to fail');
+      }, (err) => {
+        err.error.message.should.equal('Cannot batch broken users');
+      }))).then(() => {
+        memoryAPI.transport.requests.length.should.equal(0);
+      });
+    });
+
+    it('should leave cancelled queries out of the batch', () => {
+      const kept = getUser('goldendase');
+      getUser('dc').cancel();
+
+      return kept.promise.then(() => {
+        memoryAPI.transport.requests[0].query.usernames.should.equal('goldendase');
+      });
+    });
+  });
+
+  describe('response validation', () => {
+    let memoryAPI = null;
+    let warnings = null;
+    const consoleWarn = console.warn;
+
+    function createAPI(validate) {
+      memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: {username: 'goldendase', karma: 'lots'}})
+      }, {}, [Object.assign({}, userResource, {
+        model: new Map({username: '', karma: 0, bio: ''}),
+        validate
+      })]);
+    }
+
+    function getUser() {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}});
+    }
+
+    beforeEach(() => {
+      warnings = [];
+      console.warn = (message) => warnings.push(message);
+    });
+
+    afterEach(() => {
+      console.warn = consoleWarn;
+    });
+
+    it('should let invalid responses through with a warning', () => {
+      createAPI({schema: {username: 'string', karma: 'number'}});
+
+      return getUser().promise.then((user) => {
+        user.get('karma').should.equal('lots');
+        warnings.length.should.equal(1);
+        warnings[0].should.contain('karma should be number, got string');
+      });
+    });
+
+    it('should reject invalid responses with a validation error', () => {
+      createAPI({
+        validator: (body) => body.karma === 'lots' ? ['karma is not a count'] : [],
+        mode: 'reject'
+      });
+
+      return getUser().promise.then(() => {
+        throw new Error('Expected validation to fail');
+      }, (err) => {
+        err.type.should.equal('validation');
+        err.status.should.equal(200);
+        err.problems.should.deep.equal([{path: [], message: 'karma is not a count'}]);
+        err.errorMessage.should.contain('karma is not a count');
+      });
+    });
+
+    it('should fill invalid and missing fields from the model', () => {
+      createAPI({schema: {username: 'string', karma: 'number', bio: 'string'}, mode: 'coerce'});
+
+      return getUser().promise.then((user) => {
+        user.toJS().should.deep.equal({username: 'goldendase', karma: 0, bio: ''});
+        warnings.length.should.equal(0);
+      });
+    });
+  });
+
+  describe('query composition', () => {
+    let memoryAPI = null;
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: {username: 'goldendase', org: 'albert'}}),
+        'get /users/dc': () => ({status: 200, headers: {}, body: {username: 'dc', org: 'albert'}}),
+        'get /orgs/albert': () => ({status: 200, headers: {}, body: {name: 'albert'}}),
+        'patch /users/dc': (request) => ({status: 200, headers: {}, body: request.body})
+      }, {}, [userResource, {id: 'ORG', endpoint: '/orgs/:name', model: new Map()}]);
+    });
+
+    function userQuery(username) {
+      return {id: 'USER', params: {username}};
+    }
+
+    function orgQuery(user) {
+      return {id: 'ORG', params: {name: user.get('org')}};
+    }
+
+    it('should combine parallel queries into one payload', () => {
+      return memoryAPI.queryResource(userQuery('goldendase')).promise.then(() => {
+        const payload = memoryAPI.all([userQuery('goldendase'), userQuery('dc')]);
+        should.equal(payload.status, DataStatus.EMPTY);
+        payload.data.get(0).get('username').should.equal('goldendase');
+
+        return payload.promise;
+      }).then((users) => {
+        users.map((user) => user.get('username')).toArray().should.deep.equal(['goldendase', 'dc']);
+        const payload = memoryAPI.all({first: userQuery('goldendase'), second: userQuery('dc')});
+        should.equal(payload.status, DataStatus.FRESH);
+        payload.data.get('second').get('username').should.equal('dc');
+
+        const patch = memoryAPI.all([
+          userQuery('goldendase'),
+          {id: 'USER', method: 'patch', params: {username: 'dc'}, payload: {org: 'curie'}}
+        ]);
+        should.equal(patch.status, DataStatus.PENDING_PATCH);
+        return patch.promise;
+      });
+    });
+
+    it('should only run dependent queries once their parent has data', () => {
+      const pending = memoryAPI.dependent(userQuery('goldendase'), orgQuery);
+      should.equal(pending.status, DataStatus.EMPTY);
+      should.equal(pending.data, null);
+
+      return pending.promise.then((org) => {
+        org.get('name').should.equal('albert');
+        const payload = memoryAPI.dependent(userQuery('goldendase'), orgQuery);
+        should.equal(payload.status, DataStatus.FRESH);
+        payload.data.get('name').should.equal('albert');
+        payload.parts.size.should.equal(2);
+      });
+    });
+
+    it('should turn queries that cannot be made into errors', () => {
+      const consoleError = console.error;
+      console.error = () => {};
+      let payload = null;
+
+      try {
+        payload = memoryAPI.all([userQuery('goldendase'), {id: 'USER', params: {username: 'dc'}, method: 'not a method'}]);
+      } finally {
+        console.error = consoleError;
+      }
+
+      should.equal(payload.status, DataStatus.ERROR);
+      should.equal(payload.parts.get(1).status, DataStatus.ERROR);
+      payload.error.error.message.should.equal('Could not query resource USER');
+
+      return payload.promise.then(() => should.fail(), (error) => {
+        error.should.equal(payload.error);
+      });
+    });
+  });
+
+  describe('inspection', () => {
+    let memoryAPI = null;
+    let reported = null;
+
+    beforeEach(() => {
+      reported = [];
+      memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: {username: 'goldendase'}}),
+        'get /users/dc': () => ({status: 503, headers: {}, body: {message: 'Down for maintenance'}}),
+        'delete /users/goldendase': () => ({status: 204, headers: {}, body: ''})
+      }, {
+        debug: {logSize: 2, reporter: (entry) => reported.push(entry)}
+      });
+    });
+
+    it('should describe every cache entry', () => {
+      const pending = memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}});
+      let resource = memoryAPI.inspect().resources[0];
+      resource.id.should.equal('USER');
+      resource.entries[0].pending.should.equal(true);
+      resource.entries[0].status.should.equal('EMPTY');
+
+      return pending.promise.then(() => {
+        resource = memoryAPI.inspect().resources[0];
+        const entry = resource.entries[0];
+        entry.cacheKey.should.equal(memoryAPI.resourcePool.get('USER').cacheKeyFor({params: {username: 'goldendase'}}));
+        entry.status.should.equal('FRESH');
+        entry.pending.should.equal(false);
+        entry.ttlLeft.should.be.within(DEFAULT_CACHE_TTL - 1000, DEFAULT_CACHE_TTL);
+        const snapshot = memoryAPI.inspect();
+        JSON.parse(JSON.stringify(snapshot)).should.deep.equal(snapshot);
+      });
+    });
+
+    it('should keep the last events in the log and report each of them', () => {
+      return memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}}).promise
+        .then(() => memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise)
+        .catch(() => memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}, method: 'delete'}).promise)
+        .then(() => {
+          reported.length.should.equal(3);
+          const log = memoryAPI.getEventLog();
+          log.map((entry) => entry.type).should.deep.equal(['fetch', 'delete']);
+          log[0].status.should.equal('ERROR');
+          log[0].error.should.equal('Down for maintenance');
+          log[0].duration.should.be.at.least(0);
+        });
+    });
+  });
+
+  describe('instrumentation', () => {
+    it('should count cache decisions and transport calls', () => {
+      const decisions = [];
+      const calls = [];
+      const memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: {username: 'goldendase'}}),
+        'get /users/dc': () => ({status: 500, headers: {}, body: {message: 'nope'}})
+      }, {
+        instrumentation: {
+          onCacheDecision: ({decision}) => decisions.push(decision),
+          onRequestStart: () => ({traceparent: '00-trace-span-01'}),
+          onRequestEnd: (call) => calls.push(call)
+        }
+      });
+      const getUser = (username) => memoryAPI.queryResource({id: 'USER', params: {username}});
+
+      getUser('goldendase');
+      return getUser('goldendase').promise
+        .then(() => getUser('goldendase').promise)
+        .then(() => getUser('dc').promise)
+        .then(() => {
+          throw new Error('Expected the query to fail');
+        }, () => {
+          decisions.should.deep.equal(['miss', 'deduped', 'hitFresh', 'miss']);
+          calls.map((call) => call.status).should.deep.equal([200, 500]);
+          calls[0].resourceId.should.equal('USER');
+          calls[0].duration.should.be.at.least(0);
+          memoryAPI.transport.requests[0].headers.traceparent.should.equal('00-trace-span-01');
+
+          const metrics = memoryAPI.getMetrics();
+          metrics.cache.miss.should.equal(2);
+          metrics.cache.hitRatio.should.equal(0.25);
+          metrics.requests.count.should.equal(2);
+          metrics.requests.errorRate.should.equal(0.5);
+          metrics.resources.USER.requests.errors.should.equal(1);
+
+          memoryAPI.resetMetrics();
+          memoryAPI.getMetrics().requests.count.should.equal(0);
+        });
+    });
+  });
+
+  describe('mock mode', () => {
+    it('should answer queries from resource fixtures', () => {
+      const mockAPI = new vaska.ExternalAPI({location: 'memory://', mock: {latency: 5}});
+      mockAPI.addResource(Object.assign({
+        fixtures: {
+          'GET': (request, {username}) => ({body: {username, role: 'user'}}),
+          'GET ?role=admin': {body: {username: 'root', role: 'admin'}},
+          'PUT': {status: 409, body: {message: 'Conflict'}}
+        }
+      }, userResource));
+
+      return mockAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise
+        .then((user) => {
+          user.toJS().should.deep.equal({username: 'dc', role: 'user'});
+          return mockAPI.queryResource({id: 'USER', params: {username: 'dc'}, query: {role: 'admin'}}).promise;
+        })
+        .then((user) => {
+          user.get('username').should.equal('root');
+          return mockAPI.queryResource({id: 'USER', params: {username: 'dc'}, method: 'put', payload: {}}).promise;
+        })
+        .then(() => {
+          throw new Error('Expected the mutation to fail');
+        }, (err) => {
+          err.status.should.equal(409);
+          err.errorMessage.should.equal('Conflict');
+        });
+    });
+
+    it('should inject network failures', () => {
+      const mockAPI = new vaska.ExternalAPI({location: 'memory://', mock: {failureRate: 1}});
+      mockAPI.addResource(Object.assign({fixtures: {'GET': {body: {}}}}, userResource));
+
+      return mockAPI.queryResource({id: 'USER', params: {username: 'dc'}}).promise.then(() => {
+        throw new Error('Expected the query to fail');
+      }, (err) => {
+        should.equal(err.status, undefined);
+        err.error.message.should.contain('Simulated network failure');
+      });
+    });
+
+    it('should replay recorded responses', () => {
+      const fixturePath = path.join(os.tmpdir(), `vaska-fixtures-${process.pid}.json`);
+      const recorder = new vaska.FixtureRecorder(memoryTransport({
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: '{"username":"goldendase"}'}),
+        'post /users/goldendase': () => ({status: 201, headers: {}, body: '{"created":true}'})
+      }));
+      const recordingAPI = new vaska.ExternalAPI({location: 'memory://', transport: recorder.transport});
+      recordingAPI.addResource(userResource);
+
+      return recordingAPI.queryResource({id: 'USER', params: {username: 'goldendase'}, query: {full: true}}).promise
+        .then(() => recordingAPI.queryResource({id: 'USER', params: {username: 'goldendase'}, method: 'post', payload: {}}).promise)
+        .then(() => recorder.save(fixturePath))
+        .then(() => {
+          const fixtures = vaska.loadFixtures(fixturePath);
+          fs.unlinkSync(fixturePath);
+          Object.keys(fixtures).should.deep.equal(['GET /users/goldendase?full=true', 'POST /users/goldendase']);
+          fixtures['GET /users/goldendase?full=true'].body.should.deep.equal({username: 'goldendase'});
+
+          const replayAPI = new vaska.ExternalAPI({location: 'memory://', mock: {fixtures}});
+          replayAPI.addResource(userResource);
+          return replayAPI.queryResource({id: 'USER', params: {username: 'goldendase'}, query: {full: true}}).promise;
+        })
+        .then((user) => {
+          user.get('username').should.equal('goldendase');
+        });
+    });
+  });
+
+  describe('methods and response bodies', () => {
+    before(() => {
+      testAPI.addResource({id: 'PATCHABLE_USER', endpoint: '/users/:username', model: new Map()});
+      testAPI.addResource({id: 'EXPORT', endpoint: '/exports/users', model: ''});
+      testAPI.addResource({
+        id: 'AVATAR',
+        endpoint: '/avatars/:username',
+        model: null,
+        parsers: {'application/octet-stream': 'binary'}
+      });
+      testAPI.addResource({id: 'UPLOAD', endpoint: '/uploads', model: new Map()});
+    });
+
+    it('should send PATCH, HEAD and custom methods', () => {
+      const patch = testAPI.queryResource({id: 'PATCHABLE_USER', params: {username: 'dc'}, method: 'PATCH', payload: {}});
+      should.equal(patch.status, DataStatus.PENDING_PATCH);
+
+      return patch.promise.then((user) => {
+        user.get('patched').should.equal(true);
+        const head = testAPI.queryResource({id: 'PATCHABLE_USER', params: {username: 'dc'}, method: 'head'});
+        should.equal(head.status, DataStatus.PENDING_REQUEST);
+        return head.promise;
+      }).then((headers) => {
+        headers.get('content-type').should.contain('application/json');
+        return testAPI.queryResource({id: 'PATCHABLE_USER', params: {username: 'dc'}, method: 'purge'}).promise;
+      }).then(() => {
+        throw new Error('Expected the custom method to be rejected by the server');
+      }, (err) => {
+        err.status.should.equal(404);
+      });
+    });
+
+    it('should parse responses by content type', () => {
+      return testAPI.queryResource({id: 'EXPORT'}).promise.then((csv) => {
+        csv.split('\n')[0].should.equal('goldendase,active');
+        return testAPI.queryResource({id: 'AVATAR', params: {username: 'dc'}}).promise;
+      }).then((avatar) => {
+        Buffer.isBuffer(avatar).should.equal(true);
+        Array.from(avatar).should.deep.equal([0, 1, 2, 255]);
+      });
+    });
+
+    it('should read the error message of binary error responses', () => {
+      return testAPI.queryResource({id: 'AVATAR', params: {username: 'nobody'}}).promise.then(() => {
+        throw new Error('Expected the missing avatar to be rejected');
+      }, (err) => {
+        err.status.should.equal(404);
+        err.errorMessage.should.equal('No avatar for nobody');
+      });
+    });
+
+    it('should upload multipart payloads and report their progress', () => {
+      const upload = testAPI.queryResource({
+        id: 'UPLOAD',
+        method: 'post',
+        multipart: true,
+        payload: {title: 'avatar', file: Buffer.alloc(1024)}
+      });
+      should.equal(upload.uploadProgress, null);
+
+      return upload.promise.then((result) => {
+        result.get('contentType').should.contain('multipart/form-data');
+        result.get('bytes').should.be.above(1024);
+        upload.uploadProgress.percent.should.equal(100);
+      });
+    });
+  });
+
+  describe('conditional requests', () => {
+    it('should revalidate stale entries with their validators', () => {
+      const memoryAPI = createMemoryAPI({
+        'get /users/goldendase': (request) => request.headers['If-None-Match'] === '"v1"' ?
+          {status: 304, headers: {}, body: ''} :
+          {
+            status: 200,
+            headers: {'ETag': '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 10:00:00 GMT'},
+            body: {username: 'goldendase'}
+          }
+      }, {}, [Object.assign({}, userResource, {timeUntilStale: 0})]);
+      const getUser = () => memoryAPI.queryResource({id: 'USER', params: {username: 'goldendase'}});
+
+      return getUser().promise
+        .then(() => getUser().promise)
+        .then((user) => {
+          const [first, second] = memoryAPI.transport.requests;
+          should.equal(first.headers['If-None-Match'], undefined);
+          second.headers['If-None-Match'].should.equal('"v1"');
+          second.headers['If-Modified-Since'].should.equal('Mon, 19 Oct 2026 10:00:00 GMT');
+          user.get('username').should.equal('goldendase');
+          Object.values(memoryAPI.dehydrate().USER)[0].etag.should.equal('"v1"');
+        });
+    });
+
+    it('should keep the cached data when the server answers 304', () => {
+      const statuses = [];
+      const conditionalAPI = new vaska.ExternalAPI({
+        location: 'http://localhost:3000',
+        instrumentation: {onRequestEnd: ({status}) => statuses.push(status)}
+      });
+      conditionalAPI.addResource(Object.assign({}, userResource, {timeUntilStale: 0}));
+      const getUser = () => conditionalAPI.queryResource({id: 'USER', params: {username: 'dc'}});
+
+      return getUser().promise
+        .then(() => getUser().promise)
+        .then((user) => {
+          statuses.should.deep.equal([200, 304]);
+          user.get('name').should.equal('Dan');
+          getUser().data.get('name').should.equal('Dan');
+        });
+    });
+
+    it('should let Cache-Control max-age override timeUntilStale', () => {
+      const memoryAPI = createMemoryAPI({
+        'get /users/goldendase': () => ({status: 200, headers: {'cache-control': 'max-age=60'}, body: {}}),
+        'get /users/dc': () => ({status: 200, headers: {'cache-control': 'no-cache'}, body: {}})
+      }, {}, [Object.assign({}, userResource, {timeUntilStale: 0, respectCacheControl: true})]);
+      const getUser = (username) => memoryAPI.queryResource({id: 'USER', params: {username}});
+
+      return Promise.all([getUser('goldendase').promise, getUser('dc').promise]).then(() => {
+        should.equal(getUser('goldendase').status, DataStatus.FRESH);
+        should.equal(getUser('dc').status, DataStatus.STALE);
+      });
+    });
+  });
+
+  describe('mutation cache updates', () => {
+    let memoryAPI = null;
+    const getUser = (username) => memoryAPI.queryResource({id: 'USER', params: {username}});
+    const getUsers = () => memoryAPI.queryResource({id: 'USER_LIST'});
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users': () => ({status: 200, headers: {}, body: [{username: 'dc'}]}),
+        'get /users/dc': () => Promise.delay(5).then(() => ({status: 200, headers: {}, body: {username: 'dc', name: 'Dan'}})),
+        'put /users/dc': (request) => ({status: 200, headers: {}, body: Object.assign({username: 'dc'}, request.body)}),
+        'post /users': (request) => ({status: 201, headers: {}, body: request.body}),
+        'delete /users/dc': () => ({status: 204, headers: {}, body: ''})
+      }, {}, [userResource, {id: 'USER_LIST', endpoint: '/users', model: new List()}]);
+      return Promise.all([getUser('dc').promise, getUsers().promise]);
+    });
+
+    it('should write mutation responses into the cache with one change event', () => {
+      const changes = [];
+      const events = [];
+      memoryAPI.on('change', (change) => changes.push(change));
+      memoryAPI.on('resourceChange', (event) => events.push(event));
+
+      return memoryAPI.queryResource({
+        id: 'USER',
+        params: {username: 'dc'},
+        method: 'put',
+        payload: {name: 'Daniel'},
+        updates: [{id: 'USER', params: {username: 'dc'}, action: 'set'}]
+      }).promise
+        .then(() => memoryAPI.queryResource({
+          id: 'USER_LIST',
+          method: 'post',
+          payload: {username: 'jaime'},
+          updates: [
+            {id: 'USER_LIST', action: 'append'},
+            {id: 'USER', params: {username: 'jaime'}, action: 'set'}
+          ]
+        }).promise)
+        .then(() => {
+          changes.length.should.equal(2);
+          events.map((event) => event.operation).should.deep.equal(['put', 'update', 'post', 'update', 'update']);
+          should.equal(events[1].status, DataStatus.FRESH);
+          getUser('dc').data.get('name').should.equal('Daniel');
+          getUsers().data.toJS().should.deep.equal([{username: 'dc'}, {username: 'jaime'}]);
+          should.equal(getUser('jaime').status, DataStatus.FRESH);
+          memoryAPI.transport.requests.filter((request) => request.method === 'get').length.should.equal(2);
+        });
+    });
+
+    it('should remove deleted items and entries', () => {
+      const refetch = memoryAPI.queryResource({id: 'USER', params: {username: 'dc'}, forceRefresh: true});
+
+      return memoryAPI.queryResource({
+        id: 'USER',
+        params: {username: 'dc'},
+        method: 'delete',
+        updates: [
+          {id: 'USER_LIST', action: 'remove', matches: (user) => user.get('username') === 'dc'},
+          {id: 'USER', params: {username: 'dc'}, action: 'remove'}
+        ]
+      }).promise.then(() => {
+        getUsers().data.size.should.equal(0);
+        // The refetch started before the DELETE cannot write the removed entry back.
+        refetch.promise.isCancelled().should.equal(true);
+        const resource = memoryAPI.resourcePool.get('USER');
+        should.equal(resource.statusOf(resource.cacheKeyFor({params: {username: 'dc'}})), DataStatus.EMPTY);
+      });
+    });
+
+    it('should leave the cache untouched when a rule fails and report the mutation', () => {
+      const updateErrors = [];
+      const operations = [];
+      memoryAPI.on('updateError', (report) => updateErrors.push(report));
+      memoryAPI.on('resourceChange', (event) => operations.push(event.operation));
+
+      return memoryAPI.queryResource({
+        id: 'USER_LIST',
+        method: 'post',
+        payload: {username: 'jaime'},
+        updates: [
+          {id: 'USER_LIST', action: 'append'},
+          {id: 'USER', params: {username: 'dc'}, action: () => {
+            throw new Error('Bad update');
+          }}
+        ]
+      }).promise.then((user) => {
+        user.get('username').should.equal('jaime');
+        operations.should.deep.equal(['post']);
+        updateErrors.length.should.equal(1);
+        updateErrors[0].resourceId.should.equal('USER_LIST');
+        updateErrors[0].error.message.should.equal('Bad update');
+        getUsers().data.size.should.equal(1);
+      });
+    });
+
+    it('should not send mutations with rules for unknown resources', () => {
+      const consoleError = console.error;
+      console.error = () => {};
+      const requestCount = memoryAPI.transport.requests.length;
+      let payload = null;
+
+      try {
+        payload = memoryAPI.queryResource({
+          id: 'USER_LIST',
+          method: 'post',
+          payload: {username: 'jaime'},
+          updates: [{id: 'TEAM', action: 'append'}]
+        });
+      } finally {
+        console.error = consoleError;
+      }
+
+      should.equal(payload, null);
+      memoryAPI.transport.requests.length.should.equal(requestCount);
+    });
+  });
+
+  describe('tag and predicate invalidation', () => {
+    const users = {
+      dc: {username: 'dc', org: 42, status: 'active'},
+      jaime: {username: 'jaime', org: 42, status: 'inactive'},
+      goldendase: {username: 'goldendase', org: 7, status: 'active'}
+    };
+    let memoryAPI = null;
+    const getUser = (username) => memoryAPI.queryResource({id: 'USER', params: {username}});
+    const requestCount = () => memoryAPI.transport.requests.length;
+    const statusOf = (username) => {
+      const resource = memoryAPI.resourcePool.get('USER');
+      return resource.statusOf(resource.cacheKeyFor({params: {username}}));
+    };
+
+    beforeEach(() => {
+      memoryAPI = createMemoryAPI({
+        'get /users/dc': () => ({status: 200, headers: {}, body: users.dc}),
+        'get /users/jaime': () => ({status: 200, headers: {}, body: users.jaime}),
+        'get /users/goldendase': () => ({status: 200, headers: {}, body: users.goldendase}),
+        'get /orgs/42/members': () => ({status: 200, headers: {}, body: ['dc', 'jaime']}),
+        'get /users/ghost': () => ({status: 204, headers: {}, body: ''})
+      }, {}, [
+        Object.assign({}, userResource, {
+          tags: ({params, data}) => [`user:${params.username}`, `org:${data.get('org')}`]
+        }),
+        {id: 'MEMBERS', endpoint: '/orgs/:org/members', model: new List()}
+      ]);
+
+      return Promise.all([
+        getUser('dc').promise,
+        getUser('jaime').promise,
+        getUser('goldendase').promise,
+        memoryAPI.queryResource({id: 'MEMBERS', params: {org: 42}, tags: ['org:42']}).promise
+      ]);
+    });
+
+    it('should mark the queries carrying a tag stale', () => {
+      const invalidated = [];
+      memoryAPI.on('resourceChange', (event) => invalidated.push(event.cacheKey));
+
+      memoryAPI.invalidateTags(['org:42']).should.equal(3);
+      invalidated.length.should.equal(3);
+      should.equal(statusOf('goldendase'), DataStatus.FRESH);
+      should.equal(statusOf('dc'), DataStatus.STALE);
+
+      // Tags survive snapshots.
+      const restoredAPI = vaska.ExternalAPI.fromSnapshot(memoryAPI.dehydrate(), {location: 'memory://'});
+      restoredAPI.addResource(userResource);
+      restoredAPI.invalidateTags(['user:goldendase']).should.equal(1);
+      requestCount().should.equal(4);
+    });
+
+    it('should keep query tags across refetches and aborts', () => {
+      const members = {id: 'MEMBERS', params: {org: 42}};
+      memoryAPI.invalidateTags(['org:42']);
+
+      return memoryAPI.queryResource(members).promise
+        .then(() => {
+          memoryAPI.invalidateTags(['org:42']).should.equal(3);
+          memoryAPI.queryResource(members);
+          memoryAPI.abortAll();
+          memoryAPI.invalidateTags(['org:42']).should.equal(3);
+          // Tag functions are not called for queries without data.
+          return getUser('ghost').promise;
+        })
+        .then((ghost) => {
+          should.equal(ghost, null);
+        });
+    });
+
+    it('should invalidate the queries a predicate picks and refetch subscribed ones', () => {
+      memoryAPI.subscribe({resourceId: 'USER', params: {username: 'dc'}}, () => {});
+      const count = memoryAPI.invalidateWhere('USER', ({params, data}) => {
+        return data.get('status') === 'active' && params.username !== 'jaime';
+      }, {refetch: true});
+
+      count.should.equal(2);
+      should.equal(statusOf('goldendase'), DataStatus.STALE);
+      return nextEvent(memoryAPI, 'fetch').then(() => {
+        requestCount().should.equal(5);
+        memoryAPI.transport.requests[4].path.should.equal('/users/dc');
+        should.equal(statusOf('dc'), DataStatus.FRESH);
+        should.equal(statusOf('jaime'), DataStatus.FRESH);
+        should.equal(statusOf('goldendase'), DataStatus.STALE);
+      });
+    });
+  });
+
   after(() => {
     serverHandle.close();
     testAPI = null;
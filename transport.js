@@ -0,0 +1,87 @@
+'use strict';
+
+const _ = require('lodash');
+const request = require('superagent');
+const Promise = require('bluebird');
+const {isBrowser} = require('./util');
+
+// Multipart fields holding files (Buffers or streams in Node, Blobs and Files in browsers) are
+// attached; anything else is sent as a plain field.
+function isFile(value) {
+  return (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) ||
+    (typeof Blob !== 'undefined' && value instanceof Blob) ||
+    _.isFunction(_.get(value, 'pipe'));
+}
+
+function sendBody(pendingRequest, body, multipart) {
+  if (!multipart || (typeof FormData !== 'undefined' && body instanceof FormData)) {
+    return pendingRequest.send(body);
+  }
+
+  return _.reduce(body, (multipartRequest, value, name) => {
+    return isFile(value) ?
+      multipartRequest.attach(name, value) :
+      multipartRequest.field(name, _.isObject(value) ? JSON.stringify(value) : String(value));
+  }, pendingRequest);
+}
+
+// A transport takes a request descriptor ({method, url, path, query, headers, body, timeout}) and
+// returns a promise for the raw response ({status, headers, body}). It must resolve for every
+// response the server sends back, whatever its status, and only reject when no response was
+// received at all (network failure, timeout). Transports returning cancellable bluebird promises
+// get their requests aborted when the payloads waiting on them are cancelled.
+// Descriptors may also ask for a `multipart` body, a `'binary'` response (`responseType`) and
+// report upload progress to `onUploadProgress({loaded, total})`.
+function superagentTransport({
+  method,
+  url,
+  query,
+  headers = {},
+  body,
+  multipart = false,
+  responseType,
+  onUploadProgress,
+  timeout
+}) {
+  return new Promise((resolve, reject, onCancel) => {
+    let pendingRequest = request(method.toUpperCase(), url)
+      .query(query)
+      .timeout(timeout)
+      .set(headers);
+
+    if (!_.isUndefined(body)) {
+      pendingRequest = sendBody(pendingRequest, body, multipart);
+    }
+    if (responseType === 'binary') {
+      pendingRequest = isBrowser() ?
+        pendingRequest.responseType('blob') :
+        pendingRequest.buffer(true).parse(request.parse.image);
+    }
+    if (onUploadProgress) {
+      pendingRequest.on('progress', (event) => {
+        if (event.direction === 'upload') {
+          onUploadProgress({loaded: event.loaded, total: event.total});
+        }
+      });
+    }
+
+    pendingRequest.end((err, res) => {
+      const response = res || _.get(err, 'response');
+      if (!response) {
+        return reject(err);
+      }
+
+      return resolve({
+        status: response.status,
+        headers: response.header,
+        body: responseType === 'binary' ? response.body : response.text
+      });
+    });
+
+    onCancel(() => pendingRequest.abort());
+  });
+}
+
+module.exports = {
+  superagentTransport
+};
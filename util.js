@@ -1,6 +1,7 @@
 'use strict';
 
 const _ = require('lodash');
+const {ValidationError} = require('./validation');
 
 function keyBuilder(keyArgs = {
   query, params, header
@@ -15,26 +16,113 @@ function isInvalidRequest(params) {
 }
 
 function isBrowser() {
-  return window && window.location;
+  return typeof window !== 'undefined' && Boolean(window.location);
 }
 
 function isServer() {
-  return window && window.location;
+  return !isBrowser();
 }
 
 function isStatusSuccess(status) {
   return status >= 200 && status < 300 || status === 304;
 }
 
+// Network errors are those of requests that never got a response, because the transport failed or
+// timed out. Errors raised by middleware, parsers or validation are not.
+function isNetworkError(normalizedError) {
+  return _.get(normalizedError, 'networkError') === true;
+}
+
+// `retryOn` is either a list of retryable statuses (network errors always qualify) or a
+// `(normalizedError, attempt) => boolean` predicate.
+function isRetryable(policy, normalizedError, attempt) {
+  if (attempt >= policy.attempts) {
+    return false;
+  } else if (_.isFunction(policy.retryOn)) {
+    return Boolean(policy.retryOn(normalizedError, attempt));
+  }
+
+  return isNetworkError(normalizedError) || _.includes(policy.retryOn, normalizedError.status);
+}
+
+function getRetryDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+// Bodies arrive as raw text from the default transport; custom transports may hand back parsed data.
+function parseResponseBody(body) {
+  if (!_.isString(body)) {
+    return _.isUndefined(body) ? null : body;
+  }
+
+  return body ? JSON.parse(body) : null;
+}
+
+// Header names are case-insensitive, and transports do not all lowercase them.
+function getHeader(headers, name) {
+  const key = _.findKey(headers, (value, headerName) => headerName.toLowerCase() === name);
+  return _.isUndefined(key) ? undefined : headers[key];
+}
+
+// Picks the cache validators (`etag`, `lastModified`) of a response and the lifetime its
+// Cache-Control allows (`maxAge`, in ms). `no-cache` and `no-store` allow none.
+function getCacheHeaders(headers = {}) {
+  const cacheControl = String(getHeader(headers, 'cache-control') || '');
+  const maxAge = /(?:^|,)\s*max-age=(\d+)/i.exec(cacheControl);
+  const noCache = /(?:^|,)\s*no-(?:cache|store)\b/i.test(cacheControl);
+
+  return _.omitBy({
+    etag: getHeader(headers, 'etag'),
+    lastModified: getHeader(headers, 'last-modified'),
+    maxAge: noCache ? 0 : maxAge && Number(maxAge[1]) * 1000
+  }, _.isNil);
+}
+
+// Builds the error for a response with a non-success status in the shape `normalizeError` expects.
+function toResponseError(response) {
+  const error = new Error(`Request failed with status ${response.status}`);
+  let text = response.body;
+  if (_.isNil(text)) {
+    text = '';
+  } else if (!_.isString(text)) {
+    text = JSON.stringify(text);
+  }
+
+  error.status = response.status;
+  error.response = {
+    status: response.status,
+    headers: response.headers,
+    text
+  };
+
+  return error;
+}
+
+// Error bodies that are not JSON (text, HTML error pages) are kept as the error message.
+function parseErrorContent(responseText) {
+  try {
+    return JSON.parse(responseText) || {};
+  } catch (exception) {
+    return {message: responseText};
+  }
+}
+
 function normalizeError(err, status) {
+  if (err instanceof ValidationError) {
+    return {
+      error: err,
+      type: err.type,
+      status: status,
+      errorMessage: err.message,
+      problems: err.problems,
+      fullObject: err
+    };
+  }
+
   try {
     const responseText = _.get(err, 'response.text', '');
-    let errorContent;
-    if (responseText) {
-      errorContent = JSON.parse(responseText);
-    } else {
-      errorContent = '';
-    }
+    const errorContent = responseText ? parseErrorContent(responseText) : '';
     const errorMessage = errorContent.message;
     const displayMessage = errorContent.displayMessage;
     const statusCode = errorContent.statusCode;
@@ -44,6 +132,7 @@ function normalizeError(err, status) {
       statusCode: statusCode,
       errorMessage: errorMessage,
       displayMessage: displayMessage,
+      networkError: _.get(err, 'networkError') === true,
       fullObject: err
     };
   } catch (exception) {
@@ -64,5 +153,12 @@ module.exports = {
   isServer,
   isInvalidRequest,
   isStatusSuccess,
+  isNetworkError,
+  isRetryable,
+  getRetryDelay,
+  parseResponseBody,
+  getHeader,
+  getCacheHeaders,
+  toResponseError,
   normalizeError
 }
@@ -0,0 +1,120 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Thrown for responses that do not match their resource's schema. `problems` lists each mismatch
+// as `{path, message}`, where `path` leads from the response body to the offending value.
+class ValidationError extends Error {
+  constructor(resourceId, problems) {
+    super(`Response for resource ${resourceId} failed validation: ${problems.map(describeProblem).join('; ')}`);
+    this.name = 'ValidationError';
+    this.type = 'validation';
+    this.problems = problems;
+  }
+}
+
+function describeProblem({path, message}) {
+  return path.length ? `${path.join('.')} ${message}` : message;
+}
+
+function typeOf(value) {
+  if (_.isNull(value)) {
+    return 'null';
+  }
+
+  return _.isArray(value) ? 'array' : typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'any') {
+    return true;
+  } else if (type === 'object') {
+    return _.isPlainObject(value);
+  }
+
+  return typeOf(value) === type;
+}
+
+// Schemas mirror the data they describe: type names ('string', 'number', 'boolean', 'object',
+// 'array' or 'any', with a trailing '?' when the value may be missing) for values, plain objects
+// for nested objects and one-element arrays for lists. Keys the schema leaves out are not checked.
+function checkSchema(schema, value, path = []) {
+  if (_.isString(schema)) {
+    const optional = _.endsWith(schema, '?');
+    const type = optional ? schema.slice(0, -1) : schema;
+    if (_.isNil(value)) {
+      return optional ? [] : [{path, message: `is missing (expected ${type})`}];
+    }
+
+    return matchesType(type, value) ? [] : [{path, message: `should be ${type}, got ${typeOf(value)}`}];
+  } else if (_.isArray(schema)) {
+    if (!_.isArray(value)) {
+      return [{path, message: `should be array, got ${typeOf(value)}`}];
+    }
+
+    return _.flatMap(value, (item, index) => checkSchema(schema[0], item, path.concat(index)));
+  } else if (!_.isPlainObject(value)) {
+    return [{path, message: `should be object, got ${typeOf(value)}`}];
+  }
+
+  return _.flatMap(_.keys(schema), (key) => checkSchema(schema[key], value[key], path.concat(key)));
+}
+
+// Validator functions may return `true` or nothing when the body is valid, `false` when it is not,
+// or a list of problems, each either a message or a `{path, message}` object.
+function normalizeProblems(result) {
+  if (result === false) {
+    return [{path: [], message: 'is invalid'}];
+  } else if (!_.isArray(result)) {
+    return [];
+  }
+
+  return result.map((problem) => _.isString(problem) ?
+    {path: [], message: problem} :
+    {path: _.toPath(problem.path), message: problem.message});
+}
+
+// Invalid values are replaced with the model's value at the same path. Returns the coerced body
+// and the problems the model had no value for.
+function coerce(body, problems, model) {
+  const plainModel = _.isFunction(_.get(model, 'toJS')) ? model.toJS() : model;
+  let coerced = _.cloneDeep(body);
+  const remaining = problems.filter(({path}) => {
+    if (!path.length) {
+      coerced = _.cloneDeep(plainModel);
+      return false;
+    } else if (!_.isObject(coerced) || !_.has(plainModel, path)) {
+      return true;
+    }
+
+    _.set(coerced, path, _.cloneDeep(_.get(plainModel, path)));
+    return false;
+  });
+
+  return {body: coerced, problems: remaining};
+}
+
+// Checks a parsed response body against `{schema, validator, mode}`. Returns the body to cache, or
+// throws a ValidationError in `'reject'` mode. `'warn'` and `'coerce'` modes log what they let through.
+function validateBody({schema, validator, mode}, resourceId, body, model) {
+  const problems = (schema ? checkSchema(schema, body) : [])
+    .concat(validator ? normalizeProblems(validator(body)) : []);
+  if (!problems.length) {
+    return body;
+  }
+
+  const result = mode === 'coerce' ? coerce(body, problems, model) : {body, problems};
+  if (mode === 'reject') {
+    throw new ValidationError(resourceId, problems);
+  } else if (result.problems.length) {
+    console.warn(new ValidationError(resourceId, result.problems).message); //eslint-disable-line no-console
+  }
+
+  return result.body;
+}
+
+module.exports = {
+  ValidationError,
+  checkSchema,
+  validateBody
+};